@@ -0,0 +1,166 @@
+"use strict";
+
+const path = require('path');
+const _ = require('lodash');
+
+//extensions of config files, in the order of loading when both exist
+const configExtensions = [ '.json', '.js' ];
+
+/**
+ * Deep merge a config layer into the target, arrays and other non-plain-object values are replaced,
+ * and record the source file of every leaf value by its dot-separated path.
+ * @private
+ * @param {object} target
+ * @param {object} layer
+ * @param {string} file
+ * @param {object} sources
+ * @param {string} [prefix]
+ */
+function mergeLayer(target, layer, file, sources, prefix) {
+    _.forOwn(layer, (value, key) => {
+        let keyPath = prefix ? prefix + '.' + key : key;
+
+        if (_.isPlainObject(value)) {
+            if (!_.isPlainObject(target[key])) {
+                clearSources(sources, keyPath);
+                target[key] = {};
+            }
+
+            mergeLayer(target[key], value, file, sources, keyPath);
+            return;
+        }
+
+        clearSources(sources, keyPath);
+        target[key] = cloneValue(value);
+        sources[keyPath] = file;
+    });
+}
+
+/**
+ * Deep clone arrays and plain objects of a config value, so the merged config does not share them with the layers.
+ * @private
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneValue(value) {
+    if (Array.isArray(value)) return Array.from(value, item => cloneValue(item));
+    if (_.isPlainObject(value)) return _.mapValues(value, cloneValue);
+
+    return value;
+}
+
+/**
+ * Remove the sources of a replaced value and its children.
+ * @private
+ * @param {object} sources
+ * @param {string} keyPath
+ */
+function clearSources(sources, keyPath) {
+    delete sources[keyPath];
+
+    _.keys(sources).forEach(key => {
+        if (key.startsWith(keyPath + '.')) delete sources[key];
+    });
+}
+
+/**
+ * Interpolate the placeholders of all the string values in place.
+ * A placeholder referring to another string value resolves that value first, and the interpolated results,
+ * e.g. the values of the environment variables, are never interpolated again.
+ * @private
+ * @param {object} config
+ * @param {object} env
+ */
+function interpolate(config, env) {
+    const U = require('./index');
+    let resolving = {};
+    let resolved = {};
+
+    const resolve = (node, key, keyPath) => {
+        let value = node[key];
+
+        if (typeof value !== 'string' || value.indexOf('{{') === -1 || resolved[keyPath]) return value;
+
+        if (resolving[keyPath]) {
+            throw Object.assign(new Error(`Placeholders of "${keyPath}" of the config have a circular reference.`), { keyPath });
+        }
+
+        resolving[keyPath] = true;
+
+        try {
+            node[key] = U.template(value, view(config));
+        } catch (error) {
+            if (error.keyPath) throw error;
+            throw Object.assign(new Error(`Failed to interpolate "${keyPath}" of the config: ${error.message}`), { keyPath });
+        }
+
+        resolved[keyPath] = true;
+
+        return node[key];
+    };
+
+    //the values referred by placeholders are resolved on reading, the environment variables are taken as they are
+    const view = (node, prefix) => new Proxy(node, {
+        get: (target, key) => {
+            if (!prefix && key === 'env') return env;
+            if (typeof key !== 'string' || !_.has(target, key)) return target[key];
+
+            let keyPath = prefix ? prefix + '.' + key : key;
+            let value = resolve(target, key, keyPath);
+
+            return _.isObjectLike(value) ? view(value, keyPath) : value;
+        },
+
+        has: (target, key) => (!prefix && key === 'env') || key in target
+    });
+
+    const walk = (node, prefix) => _.forOwn(node, (value, key) => {
+        let keyPath = prefix ? prefix + '.' + key : key;
+
+        if (_.isObjectLike(value)) {
+            walk(value, keyPath);
+        } else {
+            resolve(node, key, keyPath);
+        }
+    });
+
+    walk(config);
+}
+
+/**
+ * Load the layered config files in a directory, see loadConfig_ of Utilities.
+ * @private
+ * @param {string} dir
+ * @param {object} [options]
+ * @returns {Promise.<Object>}
+ */
+async function loadConfig_(dir, options) {
+    const U = require('./index');
+    let { env = process.env.NODE_ENV || 'development', variables = process.env, loadOptions } = options || {};
+    let config = {};
+    let sources = {};
+    let files = [];
+
+    for (let name of _.uniq([ 'default', env, 'local' ])) {
+        for (let ext of configExtensions) {
+            let file = path.resolve(dir, name + ext);
+
+            if (!(await U.fs.pathExists(file))) continue;
+
+            let layer = ext === '.json' ? await U.fs.readJson(file) : await U.load_(file, null, null, loadOptions);
+
+            if (!_.isPlainObject(layer)) {
+                throw new Error(`Config file "${file}" should export an object.`);
+            }
+
+            mergeLayer(config, layer, file, sources);
+            files.push(file);
+        }
+    }
+
+    interpolate(config, variables);
+
+    return { config, sources, files };
+}
+
+module.exports = loadConfig_;
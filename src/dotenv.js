@@ -0,0 +1,251 @@
+"use strict";
+
+const _ = require('lodash');
+const { ParseError } = require('./errors');
+
+const keyPattern = /^(?:export\s+)?([A-Za-z_][\w.]*)\s*=\s*([\s\S]*)$/;
+const namePattern = /^[A-Za-z_]\w*/;
+const doubleQuotedEscapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+/**
+ * Describe where the offending line is.
+ * @private
+ * @param {integer} lineNumber
+ * @param {string} [file]
+ * @returns {string}
+ */
+function locate(lineNumber, file) {
+    return `line ${lineNumber}` + (file ? ` of "${file}"` : '');
+}
+
+/**
+ * Find the closing quote of a quoted value, a double quote escaped by backslash is skipped.
+ * @private
+ * @param {string} text - Text after the opening quote
+ * @param {string} quote
+ * @returns {integer} Position of the closing quote or -1
+ */
+function findClosingQuote(text, quote) {
+    for (let i = 0, l = text.length; i < l; i++) {
+        if (text[i] === '\\' && quote === '"') {
+            i++;
+        } else if (text[i] === quote) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Find the closing brace of a "${...}" substitution, nested substitutions in the default value are skipped.
+ * @private
+ * @param {string} text
+ * @param {integer} start - Position of the opening brace
+ * @returns {integer} Position of the closing brace or -1
+ */
+function findClosingBrace(text, start) {
+    let depth = 0;
+
+    for (let i = start, l = text.length; i < l; i++) {
+        if (text[i] === '{') {
+            depth++;
+        } else if (text[i] === '}' && --depth === 0) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Expand "$VAR", "${VAR}", "${VAR:-default}" and "${VAR-default}" in a value, "\$" is kept as a literal "$".
+ * @private
+ * @param {string} text
+ * @param {Function} lookup - Get the value of a variable by name
+ * @param {boolean} doubleQuoted - Whether escape sequences like "\n" are also unescaped
+ * @returns {string}
+ */
+function expand(text, lookup, doubleQuoted) {
+    let result = '';
+
+    for (let i = 0, l = text.length; i < l; i++) {
+        let c = text[i];
+
+        if (c === '\\' && i + 1 < l) {
+            let next = text[i+1];
+
+            if (next === '$') {
+                result += '$';
+                i++;
+                continue;
+            }
+
+            if (doubleQuoted && _.has(doubleQuotedEscapes, next)) {
+                result += doubleQuotedEscapes[next];
+                i++;
+                continue;
+            }
+        } else if (c === '$' && text[i+1] === '{') {
+            let end = findClosingBrace(text, i + 1);
+            let matched = end === -1 ? null : text.substring(i + 2, end).match(/^([A-Za-z_]\w*)(?:(:?-)([\s\S]*))?$/);
+
+            if (!matched) {
+                throw new Error(`Bad substitution "${end === -1 ? text.substr(i) : text.substring(i, end + 1)}".`);
+            }
+
+            let [ , name, operator, defaultValue ] = matched;
+            let value = lookup(name);
+
+            if ((operator === ':-' && (_.isNil(value) || value === '')) || (operator === '-' && _.isNil(value))) {
+                value = expand(defaultValue, lookup, doubleQuoted);
+            }
+
+            result += _.isNil(value) ? '' : value;
+            i = end;
+            continue;
+        } else if (c === '$') {
+            let matched = text.substr(i + 1).match(namePattern);
+
+            if (matched) {
+                let value = lookup(matched[0]);
+
+                result += _.isNil(value) ? '' : value;
+                i += matched[0].length;
+                continue;
+            }
+        }
+
+        result += c;
+    }
+
+    return result;
+}
+
+/**
+ * Parse the content of a .env file.
+ * Supports comments, "export" prefixes, single-quoted (literal), double-quoted (escapes and expansion, may span lines)
+ * and unquoted values with trailing " #" comments, and expansion of "$VAR", "${VAR}", "${VAR:-default}" and "${VAR-default}".
+ * Variables are expanded with the ones defined earlier in the text first, and then with options.env.
+ * @param {string} text
+ * @param {object} [options]
+ * @property {object} [options.env=process.env] - Variables available for expansion
+ * @property {string} [options.file] - The file which contains the text, for error reporting
+ * @returns {object} Map of the defined variables
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.parseEnv
+ * @example
+ *   Util.parseEnv('export HOST=localhost\nURL="http://${HOST}:${PORT:-8080}" # comment\n');
+ *   //=> { HOST: 'localhost', URL: 'http://localhost:8080' }
+ */
+function parseEnv(text, options) {
+    let { env = process.env, file } = options || {};
+    let lines = text.split(/\r?\n/);
+    let result = {};
+
+    const lookup = name => _.has(result, name) ? result[name] : env[name];
+
+    for (let i = 0, l = lines.length; i < l; i++) {
+        let line = lines[i];
+        let lineNumber = i + 1;
+        let trimmed = line.trim();
+
+        if (trimmed === '' || trimmed.startsWith('#')) continue;
+
+        const fail = message => {
+            throw new ParseError(`${message} at ${locate(lineNumber, file)}.`, { file, line, lineNumber });
+        };
+
+        let matched = trimmed.match(keyPattern);
+
+        if (!matched) {
+            fail('Expected "KEY=value"');
+        }
+
+        let [ , key, rawValue ] = matched;
+        let quote = rawValue[0];
+        let value;
+
+        try {
+            if (quote === '"' || quote === "'") {
+                let body = rawValue.substr(1);
+                let end;
+
+                while ((end = findClosingQuote(body, quote)) === -1) {
+                    if (++i >= l) {
+                        fail(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+                    }
+
+                    body += '\n' + lines[i];
+                }
+
+                let rest = body.substr(end + 1).trim();
+
+                if (rest !== '' && !rest.startsWith('#')) {
+                    fail('Unexpected characters after the closing quote');
+                }
+
+                body = body.substr(0, end);
+                value = quote === "'" ? body : expand(body, lookup, true);
+            } else {
+                let commentPos = rawValue.search(/\s#/);
+
+                if (commentPos !== -1) {
+                    rawValue = rawValue.substr(0, commentPos);
+                }
+
+                value = expand(rawValue.trim(), lookup, false);
+            }
+        } catch (error) {
+            if (error instanceof ParseError) throw error;
+            fail(error.message.replace(/\.$/, ''));
+        }
+
+        result[key] = value;
+    }
+
+    return result;
+}
+
+/**
+ * Load and layer .env files into an env object for the command runners, process.env is not changed.
+ * Later files override earlier ones and variables of later files can refer to the ones defined by earlier files.
+ * @param {string|Array.<string>} files - Paths of the .env files, in the order of layering
+ * @param {object} [options]
+ * @property {object} [options.base=process.env] - Variables the files are layered onto
+ * @property {boolean} [options.override=false] - Whether the files override the variables of the base
+ * @property {boolean} [options.required=false] - Whether to throw if a file does not exist, missing files are skipped otherwise
+ * @returns {Promise.<Object>} A new env object with the base and the loaded variables
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.loadEnv_
+ * @example
+ *   let env = await Util.loadEnv_([ '.env', `.env.${stage}`, '.env.local' ]);
+ *   await Util.runCmd_('npm run migrate', { env });
+ */
+async function loadEnv_(files, options) {
+    const U = require('./index');
+    let { base = process.env, override = false, required = false } = options || {};
+    let loaded = {};
+
+    const merge = () => override ? { ...base, ...loaded } : { ...loaded, ...base };
+
+    for (let file of _.castArray(files)) {
+        let text;
+
+        try {
+            text = await U.fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' && !required) continue;
+            throw error;
+        }
+
+        Object.assign(loaded, parseEnv(text, { env: merge(), file }));
+    }
+
+    return merge();
+}
+
+module.exports = {
+    parseEnv,
+    loadEnv_
+};
@@ -0,0 +1,193 @@
+"use strict";
+
+/**
+ * Error thrown when a shell command fails.
+ * @class
+ * @alias module:Utilities.CommandError
+ */
+class CommandError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} info - Details of the failed command
+     * @property {string} info.cmd - The command line
+     * @property {integer|string} [info.code] - Exit code or system error code
+     * @property {string} [info.signal] - Signal that terminated the process
+     * @property {string} [info.stdout] - Captured standard output
+     * @property {string} [info.stderr] - Captured standard error
+     * @property {integer} [info.duration] - Milliseconds elapsed before the failure
+     */
+    constructor(message, info) {
+        super(message);
+
+        this.name = 'CommandError';
+        this.cmd = info.cmd;
+        this.code = info.code;
+        this.signal = info.signal;
+        this.stdout = info.stdout;
+        this.stderr = info.stderr;
+        this.duration = info.duration;
+    }
+}
+
+/**
+ * Error thrown when a shell command is killed for running out of time.
+ * @class
+ * @extends module:Utilities.CommandError
+ * @alias module:Utilities.CommandTimeoutError
+ */
+class CommandTimeoutError extends CommandError {
+    constructor(message, info) {
+        super(message, info);
+
+        this.name = 'CommandTimeoutError';
+    }
+}
+
+/**
+ * Error thrown when a shell command is killed by an abort signal.
+ * @class
+ * @extends module:Utilities.CommandError
+ * @alias module:Utilities.CommandCancelledError
+ */
+class CommandCancelledError extends CommandError {
+    constructor(message, info) {
+        super(message, info);
+
+        this.name = 'CommandCancelledError';
+    }
+}
+
+/**
+ * Error thrown when an operation does not complete in time.
+ * @class
+ * @alias module:Utilities.TimeoutError
+ */
+class TimeoutError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} [info] - Details of the timed out operation, copied onto the error
+     */
+    constructor(message, info) {
+        super(message);
+
+        this.name = 'TimeoutError';
+        Object.assign(this, info);
+    }
+}
+
+/**
+ * Error thrown when a text, e.g. the output of a command, cannot be parsed.
+ * @class
+ * @alias module:Utilities.ParseError
+ */
+class ParseError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} info - Details of the parsing failure
+     * @property {string} [info.cmd] - The command which produced the output
+     * @property {string} [info.file] - The file which contains the text
+     * @property {string} [info.line] - The offending line
+     * @property {integer} [info.lineNumber] - 1-based number of the offending line
+     */
+    constructor(message, info) {
+        super(message);
+
+        this.name = 'ParseError';
+        this.cmd = info.cmd;
+        this.file = info.file;
+        this.line = info.line;
+        this.lineNumber = info.lineNumber;
+    }
+}
+
+/**
+ * Error thrown when required tools are missing or their versions do not satisfy the requirements.
+ * @class
+ * @alias module:Utilities.MissingToolError
+ */
+class MissingToolError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Array.<Object>} missing - List of { name, range, path, version, reason }
+     */
+    constructor(message, missing) {
+        super(message);
+
+        this.name = 'MissingToolError';
+        this.missing = missing;
+    }
+}
+
+/**
+ * Error thrown when a sandboxed script accesses something not allowed by the policy.
+ * @class
+ * @alias module:Utilities.AccessDeniedError
+ */
+class AccessDeniedError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} info - Details of the access
+     * @property {string} [info.module] - The required module
+     * @property {string} [info.file] - The file which requires the module
+     */
+    constructor(message, info) {
+        super(message);
+
+        this.name = 'AccessDeniedError';
+        this.module = info.module;
+        this.file = info.file;
+    }
+}
+
+/**
+ * Error thrown when an expression has invalid syntax.
+ * @class
+ * @alias module:Utilities.ExpressionSyntaxError
+ */
+class ExpressionSyntaxError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} info - Details of the syntax error
+     * @property {string} info.source - Source of the expression
+     * @property {integer} info.position - 0-based offset of the error in the source
+     */
+    constructor(message, info) {
+        super(message);
+
+        this.name = 'ExpressionSyntaxError';
+        this.source = info.source;
+        this.position = info.position;
+    }
+}
+
+/**
+ * Error thrown when an operation still fails after all the retries.
+ * @class
+ * @alias module:Utilities.RetryError
+ */
+class RetryError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Array.<Error>} errors - Errors of all the attempts, in order
+     */
+    constructor(message, errors) {
+        super(message);
+
+        this.name = 'RetryError';
+        this.errors = errors;
+        this.attempts = errors.length;
+        this.lastError = errors[errors.length - 1];
+    }
+}
+
+module.exports = {
+    CommandError,
+    CommandTimeoutError,
+    CommandCancelledError,
+    TimeoutError,
+    ParseError,
+    MissingToolError,
+    AccessDeniedError,
+    ExpressionSyntaxError,
+    RetryError
+};
@@ -0,0 +1,484 @@
+"use strict";
+
+const _ = require('lodash');
+const { ExpressionSyntaxError } = require('./errors');
+
+//longer operators first to be matched greedily
+const operators = [
+    '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', '[', ']', ',', '.'
+];
+
+const binaryPrecedence = {
+    '??': 1,
+    '||': 2,
+    '&&': 3,
+    '==': 4, '!=': 4, '===': 4, '!==': 4,
+    '<': 5, '<=': 5, '>': 5, '>=': 5, 'in': 5,
+    '+': 6, '-': 6,
+    '*': 7, '/': 7, '%': 7
+};
+
+const literals = { 'true': true, 'false': false, 'null': null, 'undefined': undefined };
+
+const stringEscapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', '0': '\0' };
+
+//properties reaching the prototype chain or constructors
+const blockedKeys = [ '__proto__', 'constructor', 'prototype' ];
+
+/**
+ * Throw a syntax error at the position of the source.
+ * @private
+ * @param {string} message
+ * @param {string} source
+ * @param {integer} position
+ */
+function fail(message, source, position) {
+    throw new ExpressionSyntaxError(`${message} at position ${position} of expression "${source}".`, { source, position });
+}
+
+/**
+ * Split the source of an expression into tokens of { type, value, position }.
+ * @private
+ * @param {string} source
+ * @returns {Array.<Object>}
+ */
+function tokenize(source) {
+    let tokens = [];
+    let l = source.length;
+    let i = 0;
+
+    while (i < l) {
+        let c = source[i];
+        let position = i;
+        let matched;
+
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+
+        if ((matched = source.substr(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/))) {
+            tokens.push({ type: 'number', value: parseFloat(matched[0]), position });
+            i += matched[0].length;
+            continue;
+        }
+
+        if ((matched = source.substr(i).match(/^[A-Za-z_$][\w$]*/))) {
+            tokens.push({ type: 'name', value: matched[0], position });
+            i += matched[0].length;
+            continue;
+        }
+
+        if (c === '"' || c === "'") {
+            let value = '';
+            i++;
+
+            while (i < l && source[i] !== c) {
+                if (source[i] === '\\') {
+                    let next = source[++i];
+
+                    if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.substr(i + 1, 4))) {
+                        value += String.fromCharCode(parseInt(source.substr(i + 1, 4), 16));
+                        i += 4;
+                    } else {
+                        value += _.has(stringEscapes, next) ? stringEscapes[next] : next;
+                    }
+                } else {
+                    value += source[i];
+                }
+
+                i++;
+            }
+
+            if (i >= l) {
+                fail('Unterminated string', source, position);
+            }
+
+            tokens.push({ type: 'string', value, position });
+            i++;
+            continue;
+        }
+
+        let op = _.find(operators, op => source.startsWith(op, i));
+
+        if (!op) {
+            fail(`Unexpected character "${c}"`, source, position);
+        }
+
+        tokens.push({ type: 'op', value: op, position });
+        i += op.length;
+    }
+
+    tokens.push({ type: 'end', position: l });
+
+    return tokens;
+}
+
+/**
+ * Pratt parser building the syntax tree of an expression.
+ * @private
+ */
+class Parser {
+    constructor(source, functions) {
+        this.source = source;
+        this.functions = functions;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    parse() {
+        let node = this.parseExpression(0);
+        let token = this.peek();
+
+        if (token.type !== 'end') {
+            this.unexpected(token);
+        }
+
+        return node;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value) {
+        let token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        let token = this.next();
+
+        if (token.type !== 'op' || token.value !== value) {
+            this.unexpected(token, `Expected "${value}"`);
+        }
+
+        return token;
+    }
+
+    unexpected(token, message) {
+        let description = token.type === 'end' ? 'end of expression' : `token "${token.type === 'string' ? JSON.stringify(token.value) : token.value}"`;
+        fail((message ? message + ', got ' : 'Unexpected ') + description, this.source, token.position);
+    }
+
+    checkKey(key, position) {
+        if (blockedKeys.indexOf(String(key)) !== -1) {
+            fail(`Access to property "${key}" is not allowed`, this.source, position);
+        }
+    }
+
+    parseExpression(minPrecedence) {
+        let left = this.parseUnary();
+
+        for (;;) {
+            let token = this.peek();
+            let op = (token.type === 'op' || (token.type === 'name' && token.value === 'in')) ? token.value : null;
+
+            //the conditional operator has the lowest precedence and is right associative
+            if (op === '?' && minPrecedence === 0) {
+                this.next();
+                let consequent = this.parseExpression(0);
+                this.expect(':');
+                let alternate = this.parseExpression(0);
+                left = { type: 'conditional', test: left, consequent, alternate };
+                continue;
+            }
+
+            let precedence = binaryPrecedence[op];
+
+            if (!precedence || precedence <= minPrecedence) break;
+
+            this.next();
+            left = { type: 'binary', operator: op, left, right: this.parseExpression(precedence) };
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        let token = this.peek();
+
+        if (token.type === 'op' && (token.value === '!' || token.value === '-' || token.value === '+')) {
+            this.next();
+            return { type: 'unary', operator: token.value, argument: this.parseUnary() };
+        }
+
+        return this.parsePostfix(this.parsePrimary());
+    }
+
+    parsePrimary() {
+        let token = this.next();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'literal', value: token.value };
+
+            case 'name':
+                if (_.has(literals, token.value)) {
+                    return { type: 'literal', value: literals[token.value] };
+                }
+
+                if (token.value === 'in') {
+                    this.unexpected(token);
+                }
+
+                if (this.isOp('(')) {
+                    return this.parseCall(token);
+                }
+
+                this.checkKey(token.value, token.position);
+                return { type: 'path', object: null, segments: [ token.value ] };
+
+            case 'op':
+                if (token.value === '(') {
+                    let node = this.parseExpression(0);
+                    this.expect(')');
+                    return node;
+                }
+
+                if (token.value === '[') {
+                    return { type: 'array', elements: this.parseList(']') };
+                }
+        }
+
+        this.unexpected(token);
+    }
+
+    parseCall(token) {
+        if (!_.has(this.functions, token.value) || typeof this.functions[token.value] !== 'function') {
+            fail(`Unknown function "${token.value}"`, this.source, token.position);
+        }
+
+        this.expect('(');
+
+        return { type: 'call', name: token.value, args: this.parseList(')') };
+    }
+
+    parseList(closing) {
+        let items = [];
+
+        while (!this.isOp(closing)) {
+            items.push(this.parseExpression(0));
+
+            if (!this.isOp(closing)) {
+                this.expect(',');
+            }
+        }
+
+        this.next();
+
+        return items;
+    }
+
+    parsePostfix(node) {
+        for (;;) {
+            let token = this.peek();
+
+            if (token.type !== 'op') break;
+
+            if (token.value === '(') {
+                fail('Only whitelisted functions can be called', this.source, token.position);
+            }
+
+            if (token.value !== '.' && token.value !== '[') break;
+
+            if (node.type !== 'path') {
+                node = { type: 'path', object: node, segments: [] };
+            }
+
+            this.next();
+
+            if (token.value === '.') {
+                let name = this.next();
+
+                if (name.type !== 'name') {
+                    this.unexpected(name, 'Expected a property name');
+                }
+
+                this.checkKey(name.value, name.position);
+                node.segments.push(name.value);
+            } else {
+                let keyToken = this.peek();
+                let key = this.parseExpression(0);
+                this.expect(']');
+
+                if (key.type === 'literal') {
+                    this.checkKey(key.value, keyToken.position);
+                    node.segments.push(key.value);
+                } else {
+                    node.segments.push(key);
+                }
+            }
+        }
+
+        return node;
+    }
+}
+
+/**
+ * Check whether a value is in a collection, i.e. an element of an array, a key of an object or a substring of a string.
+ * @private
+ * @param {*} value
+ * @param {*} collection
+ * @returns {boolean}
+ */
+function isIn(value, collection) {
+    if (Array.isArray(collection)) return collection.indexOf(value) !== -1;
+    if (typeof collection === 'string') return typeof value === 'string' && collection.indexOf(value) !== -1;
+    if (_.isObjectLike(collection)) return Object.prototype.hasOwnProperty.call(collection, value);
+
+    return false;
+}
+
+const binaryOperations = {
+    '==': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': isIn,
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b
+};
+
+const unaryOperations = {
+    '!': a => !a,
+    '-': a => -a,
+    '+': a => +a
+};
+
+/**
+ * Compile a syntax tree node into a function of the context.
+ * @private
+ * @param {object} node
+ * @param {object} functions
+ * @returns {Function}
+ */
+function compileNode(node, functions) {
+    const U = require('./index');
+
+    switch (node.type) {
+        case 'literal': {
+            let value = node.value;
+            return () => value;
+        }
+
+        case 'array': {
+            let elements = node.elements.map(element => compileNode(element, functions));
+            return context => elements.map(element => element(context));
+        }
+
+        case 'path': {
+            let object = node.object && compileNode(node.object, functions);
+            let segments = node.segments.map(segment => _.isObjectLike(segment) ? compileNode(segment, functions) : () => segment);
+
+            return context => {
+                let keys = segments.map(segment => {
+                    let key = segment(context);
+
+                    //computed keys can only be checked at runtime
+                    if (blockedKeys.indexOf(String(key)) !== -1) {
+                        throw new Error(`Access to property "${key}" is not allowed.`);
+                    }
+
+                    return key;
+                });
+
+                let base = object ? object(context) : context;
+
+                return keys.length > 0 ? U.getValueByPath(base, keys) : base;
+            };
+        }
+
+        case 'unary': {
+            let operation = unaryOperations[node.operator];
+            let argument = compileNode(node.argument, functions);
+            return context => operation(argument(context));
+        }
+
+        case 'binary': {
+            let left = compileNode(node.left, functions);
+            let right = compileNode(node.right, functions);
+
+            switch (node.operator) {
+                case '&&': return context => left(context) && right(context);
+                case '||': return context => left(context) || right(context);
+                case '??': return context => {
+                    let value = left(context);
+                    return _.isNil(value) ? right(context) : value;
+                };
+            }
+
+            let operation = binaryOperations[node.operator];
+            return context => operation(left(context), right(context));
+        }
+
+        case 'conditional': {
+            let test = compileNode(node.test, functions);
+            let consequent = compileNode(node.consequent, functions);
+            let alternate = compileNode(node.alternate, functions);
+            return context => test(context) ? consequent(context) : alternate(context);
+        }
+
+        case 'call': {
+            let fn = functions[node.name];
+            let args = node.args.map(arg => compileNode(arg, functions));
+            return context => fn(...args.map(arg => arg(context)));
+        }
+    }
+}
+
+/**
+ * Compile an expression of a JavaScript-like subset into a function evaluating it against a context object.
+ * Supports number, string, boolean, null and array literals, property paths resolved by getValueByPath from the context,
+ * arithmetic, comparison, logical (&&, ||, ??, !), "in" and conditional operators, and calls of the given functions only.
+ * Identifiers are resolved from the context only, so globals are not reachable.
+ * @param {string} source - Source of the expression
+ * @param {object} [options]
+ * @property {object} [options.functions] - Map of name to the function allowed to be called
+ * @returns {Function} Function of (context) returning the value of the expression
+ * @throws {module:Utilities.ExpressionSyntaxError}
+ * @alias module:Utilities.compileExpression
+ * @example
+ *   let isVip = Util.compileExpression("order.total > 100 && user.tier in ['gold', 'vip']");
+ *   isVip({ order: { total: 120 }, user: { tier: 'gold' } }); //=> true
+ */
+function compileExpression(source, options) {
+    let functions = (options && options.functions) || {};
+    let evaluate = compileNode(new Parser(source, functions).parse(), functions);
+
+    let compiled = context => evaluate(_.isNil(context) ? {} : context);
+    compiled.source = source;
+
+    return compiled;
+}
+
+/**
+ * Evaluate an expression against a context object, use compileExpression to evaluate the same expression repeatedly.
+ * @param {string} source - Source of the expression
+ * @param {object} [context] - Values of the identifiers
+ * @param {object} [options] - Options of compileExpression
+ * @returns {*}
+ * @throws {module:Utilities.ExpressionSyntaxError}
+ * @alias module:Utilities.evaluateExpression
+ */
+function evaluateExpression(source, context, options) {
+    return compileExpression(source, options)(context);
+}
+
+module.exports = {
+    compileExpression,
+    evaluateExpression
+};
@@ -0,0 +1,258 @@
+"use strict";
+
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const _ = require('lodash');
+
+/**
+ * Response of a fake command.
+ * @typedef {object} module:Utilities.FakeResponse
+ * @property {string} [stdout] - Output written to stdout
+ * @property {string} [stderr] - Output written to stderr
+ * @property {integer} [code=0] - Exit code
+ * @property {Array.<Object>} [chunks] - Streamed output, list of { stdout | stderr, delay }
+ */
+
+/**
+ * Build the command line of a call for matching.
+ * @private
+ * @param {string} cmd
+ * @param {Array} args
+ * @param {object} options
+ * @returns {string}
+ */
+function toCommandLine(cmd, args, options) {
+    const U = require('./index');
+
+    if (options && options.shell) {
+        return [ cmd, ...(args || []) ].join(' ');
+    }
+
+    return [ cmd, ...(args || []) ].map(U.shellQuote).join(' ');
+}
+
+/**
+ * Normalize a response into a list of output chunks and an exit code.
+ * @private
+ * @param {module:Utilities.FakeResponse} response
+ * @returns {object}
+ */
+function normalizeResponse(response) {
+    let { stdout, stderr, code = 0, chunks } = response || {};
+
+    if (!chunks) {
+        chunks = [];
+        stdout && chunks.push({ stdout });
+        stderr && chunks.push({ stderr });
+    }
+
+    return { chunks, code };
+}
+
+/**
+ * Fake child process emitting the output of a canned response.
+ * @private
+ */
+class FakeChildProcess extends EventEmitter {
+    constructor(call) {
+        super();
+
+        this.pid = undefined;
+        this.exitCode = null;
+        this.signalCode = null;
+        this.stdout = new PassThrough();
+        this.stderr = new PassThrough();
+        this.stdin = new PassThrough();
+
+        call.input = '';
+        this.stdin.on('data', chunk => { call.input += chunk.toString(); });
+    }
+
+    kill(signal = 'SIGTERM') {
+        if (this._exited) return false;
+
+        this._exit(null, signal);
+        return true;
+    }
+
+    _play(respond) {
+        let chunks, code;
+
+        const next = (i) => {
+            if (this._exited) return;
+
+            if (i >= chunks.length) {
+                return this._exit(code, null);
+            }
+
+            let chunk = chunks[i];
+
+            setTimeout(() => {
+                if (this._exited) return;
+
+                chunk.stdout && this.stdout.write(chunk.stdout);
+                chunk.stderr && this.stderr.write(chunk.stderr);
+                next(i + 1);
+            }, chunk.delay || 0);
+        };
+
+        //responds after the input written right after spawning is received
+        setImmediate(() => {
+            ({ chunks, code } = normalizeResponse(respond()));
+            next(0);
+        });
+    }
+
+    _fail(error) {
+        setImmediate(() => {
+            this.emit('error', error);
+            this._exit(null, null);
+        });
+    }
+
+    _exit(code, signal) {
+        this._exited = true;
+        this.exitCode = code;
+        this.signalCode = signal;
+        this.stdout.end();
+        this.stderr.end();
+
+        setImmediate(() => {
+            this.emit('exit', code, signal);
+            this.emit('close', code, signal);
+        });
+    }
+}
+
+/**
+ * Fake command executor for testing code which runs commands, see setExecutor.
+ * Responders are registered by exact command line or regex, every invocation is recorded,
+ * and an unexpected command fails the invocation.
+ * @class
+ * @alias module:Utilities.FakeExecutor
+ * @example
+ *   let fake = new Util.FakeExecutor();
+ *   fake.when('git status', { stdout: 'clean\n' });
+ *   fake.when(/^npm test/, { code: 1, stderr: 'failed' });
+ *   Util.setExecutor(fake);
+ *   ...
+ *   fake.verify();
+ *   Util.setExecutor();
+ */
+class FakeExecutor {
+    constructor() {
+        /**
+         * Recorded invocations, { method, cmd, args, options, commandLine, input, expected }.
+         * @member {Array.<Object>}
+         */
+        this.calls = [];
+
+        /**
+         * Invocations without any matched responder.
+         * @member {Array.<Object>}
+         */
+        this.unexpected = [];
+
+        this._responders = [];
+    }
+
+    /**
+     * Register a responder, responders are matched in registration order.
+     * @param {string|RegExp} matcher - Exact command line or a regex to test the command line
+     * @param {module:Utilities.FakeResponse|Function} response - Response, or a function to create the response with the call record
+     * @returns {FakeExecutor}
+     */
+    when(matcher, response) {
+        this._responders.push({ matcher, response });
+        return this;
+    }
+
+    /**
+     * Throw if any unexpected command was invoked.
+     * @throws {Error}
+     */
+    verify() {
+        if (this.unexpected.length > 0) {
+            throw new Error('Unexpected commands: ' + this.unexpected.map(call => call.commandLine).join(', '));
+        }
+    }
+
+    /**
+     * Clear the recorded invocations and the responders.
+     * @returns {FakeExecutor}
+     */
+    reset() {
+        this.calls = [];
+        this.unexpected = [];
+        this._responders = [];
+        return this;
+    }
+
+    /**
+     * Fake of child_process.spawn.
+     * @param {string} cmd
+     * @param {Array} [args]
+     * @param {object} [options]
+     * @returns {EventEmitter} A fake child process
+     */
+    spawn(cmd, args, options) {
+        let [ call, responder ] = this._record('spawn', cmd, args, options);
+        let ps = new FakeChildProcess(call);
+
+        if (responder) {
+            ps._play(() => this._respond(responder, call));
+        } else {
+            ps._fail(Object.assign(new Error(`Unexpected command: ${call.commandLine}`), { code: 'EUNEXPECTED' }));
+        }
+
+        return ps;
+    }
+
+    /**
+     * Fake of child_process.execSync.
+     * @param {string} cmd
+     * @param {object} [options]
+     * @returns {Buffer}
+     */
+    execSync(cmd, options) {
+        let [ call, responder ] = this._record('execSync', cmd, [], { ...options, shell: true });
+
+        if (options && !_.isNil(options.input)) {
+            call.input = options.input.toString();
+        }
+
+        if (!responder) {
+            throw Object.assign(new Error(`Unexpected command: ${call.commandLine}`), { code: 'EUNEXPECTED' });
+        }
+
+        let { chunks, code } = normalizeResponse(this._respond(responder, call));
+        let stdout = Buffer.from(chunks.map(chunk => chunk.stdout || '').join(''));
+        let stderr = Buffer.from(chunks.map(chunk => chunk.stderr || '').join(''));
+
+        if (code !== 0) {
+            throw Object.assign(new Error(`Command failed: ${cmd}\n${stderr}`), { status: code, signal: null, stdout, stderr });
+        }
+
+        return stdout;
+    }
+
+    _record(method, cmd, args, options) {
+        let commandLine = toCommandLine(cmd, args, options);
+        let responder = _.find(this._responders, ({ matcher }) => _.isRegExp(matcher) ? matcher.test(commandLine) : matcher === commandLine);
+        let call = { method, cmd, args: args || [], options, commandLine, expected: !!responder };
+
+        this.calls.push(call);
+
+        if (!responder) {
+            this.unexpected.push(call);
+        }
+
+        return [ call, responder ];
+    }
+
+    _respond({ response }, call) {
+        return typeof response === 'function' ? response(call) : response;
+    }
+}
+
+module.exports = FakeExecutor;
@@ -5,7 +5,13 @@ const URL = require('url');
 const QS = require('querystring');
 const _ = require('lodash');
 const childProcess = require('child_process');
+const EventEmitter = require('events');
+const { StringDecoder } = require('string_decoder');
 const Promise = require('bluebird');
+const { CommandError, CommandTimeoutError, CommandCancelledError, TimeoutError, ParseError, MissingToolError, AccessDeniedError, ExpressionSyntaxError, RetryError } = require('./errors');
+const parsers = require('./parsers');
+const dotenv = require('./dotenv');
+const expression = require('./expression');
 
 const templateSettings = {
     escape: false,
@@ -15,6 +21,259 @@ const templateSettings = {
     variable: false
 };
 
+const shellSafeChars = /^[\w@%+=:,./-]+$/;
+
+//executor of child processes, replaceable by setExecutor
+let executor = childProcess;
+
+/**
+ * Create a splitter which buffers written chunks and calls back with complete lines.
+ * @private
+ * @param {Function} onLine
+ * @returns {object}
+ */
+function createLineSplitter(onLine) {
+    let decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    return {
+        write(chunk) {
+            buffer += decoder.write(chunk);
+
+            let lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(line => onLine(line));
+        },
+
+        end() {
+            buffer += decoder.end();
+
+            if (buffer !== '') {
+                onLine(buffer);
+                buffer = '';
+            }
+        }
+    };
+}
+
+/**
+ * Create a queue which can be consumed as an async iterator.
+ * @private
+ * @param {Function} [onReturn] - Called when the consumer stops iterating early
+ * @returns {object}
+ */
+function createAsyncQueue(onReturn) {
+    let items = [];
+    let pending = [];
+    let done = false;
+    let failure = null;
+
+    const settle = () => {
+        while (pending.length > 0 && (items.length > 0 || done)) {
+            let { resolve, reject } = pending.shift();
+
+            if (items.length > 0) {
+                resolve({ value: items.shift(), done: false });
+            } else if (failure) {
+                reject(failure);
+                failure = null;
+            } else {
+                resolve({ value: undefined, done: true });
+            }
+        }
+    };
+
+    return {
+        push(item) {
+            if (done) return;
+
+            items.push(item);
+            settle();
+        },
+
+        end(error) {
+            if (done) return;
+
+            done = true;
+            failure = error || null;
+            settle();
+        },
+
+        iterator: {
+            next: () => new Promise((resolve, reject) => {
+                pending.push({ resolve, reject });
+                settle();
+            }),
+
+            return: () => {
+                if (!done) {
+                    done = true;
+                    onReturn && onReturn();
+                }
+
+                items = [];
+                failure = null;
+                settle();
+
+                return Promise.resolve({ value: undefined, done: true });
+            },
+
+            [Symbol.asyncIterator]() { return this; }
+        }
+    };
+}
+
+/**
+ * Write the input into the stdin of a child process and then close it.
+ * @private
+ * @param {ChildProcess} ps
+ * @param {string|Buffer|stream.Readable} [input]
+ */
+function feedInput(ps, input) {
+    if (_.isNil(input)) return;
+
+    //the child may exit before consuming all the input
+    ps.stdin.on('error', _.noop);
+
+    if (typeof input.pipe === 'function') {
+        input.pipe(ps.stdin);
+    } else {
+        ps.stdin.end(input);
+    }
+}
+
+/**
+ * Send a signal to a child process, or to its whole process group if it was started detached.
+ * @private
+ * @param {ChildProcess} ps
+ * @param {string} signal
+ * @param {boolean} [detached]
+ */
+function killProcess(ps, signal, detached) {
+    try {
+        if (detached && ps.pid && process.platform !== 'win32') {
+            process.kill(-ps.pid, signal);
+        } else {
+            ps.kill(signal);
+        }
+    } catch (error) {
+        //the process has already exited
+    }
+}
+
+/**
+ * Kill the process group of a detached child process when it times out or the abort signal fires,
+ * SIGTERM is sent first and escalated to SIGKILL after the grace period.
+ * @private
+ * @param {ChildProcess} ps
+ * @param {object} options
+ * @property {integer} [options.timeout]
+ * @property {AbortSignal} [options.signal]
+ * @property {integer} [options.killGracePeriod=5000]
+ * @returns {object} { reason, dispose, error }
+ */
+function guardProcess(ps, { timeout, signal, killGracePeriod = 5000 }) {
+    let guard = { reason: null };
+    let timer, graceTimer;
+
+    const terminate = (reason) => {
+        if (guard.reason) return;
+
+        guard.reason = reason;
+        killProcess(ps, 'SIGTERM', true);
+        graceTimer = setTimeout(() => killProcess(ps, 'SIGKILL', true), killGracePeriod);
+    };
+
+    const onAbort = () => terminate('cancel');
+
+    if (timeout > 0) {
+        timer = setTimeout(() => terminate('timeout'), timeout);
+    }
+
+    if (signal) {
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort);
+        }
+    }
+
+    guard.dispose = () => {
+        clearTimeout(timer);
+        clearTimeout(graceTimer);
+        signal && signal.removeEventListener('abort', onAbort);
+    };
+
+    guard.error = (info) => guard.reason === 'timeout'
+        ? new CommandTimeoutError(`Command timed out after ${timeout} ms: ${info.cmd}`, info)
+        : new CommandCancelledError(`Command cancelled: ${info.cmd}`, info);
+
+    return guard;
+}
+
+/**
+ * Spawn a child process, the spawn machinery shared by the live command runners.
+ * @private
+ * @param {string} cmd
+ * @param {Array} [args]
+ * @param {object} [options]
+ * @returns {object} { ps, exited, kill }
+ */
+function spawnProcess(cmd, args, options) {
+    let { onStdOut, onStdErr, onLine, input, timeout, signal, killGracePeriod, ...spawnOptions } = options || {};
+    let guarded = timeout > 0 || !_.isNil(signal);
+    let detached = guarded && process.platform !== 'win32';
+    let startedAt = Date.now();
+
+    let ps = executor.spawn(cmd, args, { windowsHide: true, ...spawnOptions, ...(detached ? { detached } : {}) });
+    let guard = guarded && guardProcess(ps, { timeout, signal, killGracePeriod });
+    let lineSplitters = [];
+
+    feedInput(ps, input);
+
+    if (onStdOut) {
+        ps.stdout.on('data', onStdOut);
+    }
+
+    if (onStdErr) {
+        ps.stderr.on('data', onStdErr);
+    }
+
+    if (onLine) {
+        [ 'stdout', 'stderr' ].forEach(stream => {
+            let splitter = createLineSplitter(line => onLine(line, stream));
+            ps[stream].on('data', chunk => splitter.write(chunk));
+            lineSplitters.push(splitter);
+        });
+    }
+
+    let exited = new Promise((resolve, reject) => {
+        let e;
+
+        ps.on('close', (code, exitSignal) => {
+            lineSplitters.forEach(splitter => splitter.end());
+
+            if (guard) {
+                guard.dispose();
+
+                if (guard.reason) {
+                    return reject(guard.error({
+                        cmd: [ cmd, ...(args || []) ].join(' '),
+                        code,
+                        signal: exitSignal,
+                        duration: Date.now() - startedAt
+                    }));
+                }
+            }
+
+            e ? reject(e) : resolve(code);
+        });
+        ps.on('error', (error) => { e = error; });
+    });
+
+    return { ps, exited, kill: (sig = 'SIGTERM') => killProcess(ps, sig, detached) };
+}
+
 /**
  * A pure closure to be called to check the value status under certain conditions
  * @callback module:Utilities.predicateFunction
@@ -42,6 +301,153 @@ const templateSettings = {
  * @module Utilities
  */
 
+/**
+ * Describe the type of a value for error messages, e.g. "null", "string" or "WeakMap".
+ * @private
+ * @param {*} value
+ * @returns {string}
+ */
+function typeName(value) {
+    if (value === null) return 'null';
+    if (typeof value !== 'object') return typeof value;
+
+    return (value.constructor && value.constructor.name) || 'object';
+}
+
+/**
+ * Map the items of an async iterable with an async function, running at most the given number of calls at the same time.
+ * Items are pulled one at a time, a new worker is started whenever an item is pulled and the limit is not reached,
+ * and the iterable is closed on the first error.
+ * @private
+ * @param {AsyncIterable} iterable
+ * @param {integer} limit
+ * @param {Function} fn - Async function of (item, index)
+ * @returns {Promise.<Array>}
+ */
+async function mapAsyncIterable_(iterable, limit, fn) {
+    let iterator = iterable[Symbol.asyncIterator]();
+    let results = [];
+    let index = 0;
+    let exhausted = false;
+    let failed = false;
+    let pulling = Promise.resolve();
+    let workers = [];
+
+    const pull_ = () => (pulling = pulling.then(async () => {
+        if (exhausted || failed) return { done: true };
+
+        let item = await iterator.next();
+        if (item.done) exhausted = true;
+
+        return item;
+    }));
+
+    const worker_ = async () => {
+        try {
+            for (;;) {
+                let item = await pull_();
+
+                if (item.done) break;
+
+                if (workers.length < limit) startWorker();
+
+                let i = index++;
+                results[i] = await fn(item.value, i);
+            }
+        } catch (error) {
+            failed = true;
+            throw error;
+        }
+    };
+
+    const startWorker = () => {
+        let worker = worker_();
+        //rejections are awaited below in order
+        worker.catch(_.noop);
+        workers.push(worker);
+    };
+
+    startWorker();
+
+    try {
+        //workers may be started while waiting
+        for (let i = 0; i < workers.length; i++) {
+            await workers[i];
+        }
+    } catch (error) {
+        if (!exhausted && typeof iterator.return === 'function') {
+            await iterator.return();
+        }
+
+        throw error;
+    }
+
+    return results;
+}
+
+/**
+ * Get the error to reject with when a signal is aborted.
+ * @private
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function abortError(signal) {
+    return signal.reason || Object.assign(new Error('The operation was aborted.'), { name: 'AbortError', code: 'ABORT_ERR' });
+}
+
+/**
+ * Create an AbortController, or before node 15 a minimal one with the members used by the utilities.
+ * @private
+ * @returns {AbortController}
+ */
+function createAbortController() {
+    if (typeof AbortController !== 'undefined') return new AbortController();
+
+    let emitter = new EventEmitter();
+    let signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (type, listener, options) => options && options.once ? emitter.once(type, listener) : emitter.on(type, listener),
+        removeEventListener: (type, listener) => emitter.removeListener(type, listener)
+    };
+
+    return {
+        signal,
+        abort() {
+            if (signal.aborted) return;
+
+            signal.aborted = true;
+            emitter.emit('abort');
+        }
+    };
+}
+
+/**
+ * Sleep for the duration unless the signal is aborted.
+ * @private
+ * @param {integer} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
+ */
+function abortableSleep_(ms, signal) {
+    if (!signal) return Promise.delay(ms);
+    if (signal.aborted) return Promise.reject(abortError(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError(signal));
+        };
+
+        let timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
 const U = {
 
     //exports commonly-used utility class
@@ -85,22 +491,168 @@ const U = {
      */
     Promise: Promise,
 
+    /**
+     * Error thrown when a shell command fails.
+     * @member {CommandError}
+     * @alias module:Utilities.CommandError
+     */
+    CommandError: CommandError,
+
+    /**
+     * Error thrown when a shell command is killed for running out of time.
+     * @member {CommandTimeoutError}
+     * @alias module:Utilities.CommandTimeoutError
+     */
+    CommandTimeoutError: CommandTimeoutError,
+
+    /**
+     * Error thrown when a shell command is killed by an abort signal.
+     * @member {CommandCancelledError}
+     * @alias module:Utilities.CommandCancelledError
+     */
+    CommandCancelledError: CommandCancelledError,
+
+    /**
+     * Error thrown when an operation does not complete in time.
+     * @member {TimeoutError}
+     * @alias module:Utilities.TimeoutError
+     */
+    TimeoutError: TimeoutError,
+
+    /**
+     * Error thrown when a text, e.g. the output of a command or a .env file, cannot be parsed.
+     * @member {ParseError}
+     * @alias module:Utilities.ParseError
+     */
+    ParseError: ParseError,
+
+    /**
+     * Error thrown when required tools are missing or their versions do not satisfy the requirements.
+     * @member {MissingToolError}
+     * @alias module:Utilities.MissingToolError
+     */
+    MissingToolError: MissingToolError,
+
+    /**
+     * Error thrown when a sandboxed script requires a module not allowed by the policy.
+     * @member {AccessDeniedError}
+     * @alias module:Utilities.AccessDeniedError
+     */
+    AccessDeniedError: AccessDeniedError,
+
+    /**
+     * Error thrown when an expression has invalid syntax.
+     * @member {ExpressionSyntaxError}
+     * @alias module:Utilities.ExpressionSyntaxError
+     */
+    ExpressionSyntaxError: ExpressionSyntaxError,
+
+    /**
+     * Error thrown when an operation still fails after all the retries, with the errors of all the attempts.
+     * @member {RetryError}
+     * @alias module:Utilities.RetryError
+     */
+    RetryError: RetryError,
+
+    /**
+     * Fake command executor for testing code which runs commands.
+     * @member {FakeExecutor}
+     * @alias module:Utilities.FakeExecutor
+     */
+    get FakeExecutor() { return require('./fakeExecutor'); },
+
+    /**
+     * Replace the executor used by all the command runners, e.g. with a FakeExecutor in tests.
+     * @param {object} [newExecutor] - An object implementing spawn and execSync like child_process, the default one is restored if omitted
+     * @returns {object} The previous executor
+     * @alias module:Utilities.setExecutor
+     * @example
+     *   let fake = new Util.FakeExecutor().when('git status', { stdout: 'clean\n' });
+     *   Util.setExecutor(fake);
+     */
+    setExecutor(newExecutor) {
+        let previous = executor;
+        executor = newExecutor || childProcess;
+        return previous;
+    },
+
     /**
      * Execute a shell command.
-     * @param {string} cmd - Command line to execute     
+     * @param {string} cmd - Command line to execute
+     * @param {object} [options] - Options passed to child_process.spawn, e.g. cwd, env
+     * @property {integer} [options.maxBuffer=1048576] - Largest amount of data in bytes allowed on stdout or stderr
+     * @property {string} [options.encoding='utf8'] - Encoding of the output, 'buffer' to get Buffer
+     * @property {string|Buffer|stream.Readable} [options.input] - Input to be written to the stdin of the command
+     * @property {integer} [options.timeout] - Milliseconds before the whole process group of the command is killed
+     * @property {AbortSignal} [options.signal] - Signal to cancel the command and kill its whole process group
+     * @property {integer} [options.killGracePeriod=5000] - Milliseconds to wait after SIGTERM before sending SIGKILL
      * @returns {Promise.<Object>}
+     * @throws {module:Utilities.CommandError}
+     * @throws {module:Utilities.CommandTimeoutError}
+     * @throws {module:Utilities.CommandCancelledError}
      * @alias module:Utilities.runCmd_
      */
-    runCmd_(cmd) {
-        return new Promise((resolve, reject) => {
-            childProcess.exec(cmd, (error, stdout, stderr) => {
-                if (error) {
-                    return reject(error);
-                }
+    runCmd_(cmd, options) {
+        let { maxBuffer = 1024 * 1024, encoding = 'utf8', ...spawnOptions } = options || {};
+        let startedAt = Date.now();
+        let output = { stdout: [], stderr: [] };
+        let size = { stdout: 0, stderr: 0 };
+        let overflow = null;
+        let running;
+
+        const collect = name => chunk => {
+            if (overflow) return;
+
+            size[name] += chunk.length;
+
+            if (size[name] > maxBuffer) {
+                overflow = name;
+                //like exec, the pipes are destroyed since a grandchild holding them would keep the process from closing
+                running.ps.stdout.destroy();
+                running.ps.stderr.destroy();
+                running.kill();
+                return;
+            }
+
+            output[name].push(chunk);
+        };
 
-                let result = { stdout, stderr };
+        const decode = name => {
+            let buffer = Buffer.concat(output[name]);
+            return encoding === 'buffer' ? buffer : buffer.toString(encoding);
+        };
 
-                return resolve(result);
+        running = spawnProcess(cmd, [], { shell: true, ...spawnOptions, onStdOut: collect('stdout'), onStdErr: collect('stderr') });
+
+        return running.exited.then(code => {
+            let stdout = decode('stdout');
+            let stderr = decode('stderr');
+
+            if (code === 0 && !overflow) {
+                return { stdout, stderr };
+            }
+
+            let error = new CommandError(overflow ? `${overflow} maxBuffer length exceeded: ${cmd}` : `Command failed: ${cmd}\n${stderr}`, {
+                cmd,
+                code: overflow ? 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' : code,
+                signal: running.ps.signalCode,
+                stdout,
+                stderr,
+                duration: Date.now() - startedAt
+            });
+
+            throw error;
+        }, error => {
+            if (error instanceof CommandError) {
+                error.stdout = decode('stdout');
+                error.stderr = decode('stderr');
+                throw error;
+            }
+
+            throw new CommandError(error.message, {
+                cmd,
+                code: error.code,
+                duration: Date.now() - startedAt
             });
         });
     },
@@ -109,60 +661,677 @@ const U = {
      * Execute a shell command and lively output 
      * @param {string} cmd - Command line to execute 
      * @param {Array} [args] - Arguments list
-     * @returns {Promise.<Object>}
+     * @param {Function|object} [onStdOut] - Callback of stdout data chunks, or an options object
+     * @property {Function} [onStdOut.onStdOut] - Callback of stdout data chunks
+     * @property {Function} [onStdOut.onStdErr] - Callback of stderr data chunks
+     * @property {Function} [onStdOut.onLine] - Callback of complete lines, called with (line, 'stdout'|'stderr')
+     * @property {string|Buffer|stream.Readable} [onStdOut.input] - Input to be written to the stdin of the command
+     * @property {integer} [onStdOut.timeout] - Milliseconds before the whole process group of the command is killed
+     * @property {AbortSignal} [onStdOut.signal] - Signal to cancel the command and kill its whole process group
+     * @property {integer} [onStdOut.killGracePeriod=5000] - Milliseconds to wait after SIGTERM before sending SIGKILL
+     * @param {Function} [onStdErr] - Callback of stderr data chunks
+     * @returns {Promise.<integer>} Exit code
+     * @throws {module:Utilities.CommandTimeoutError}
+     * @throws {module:Utilities.CommandCancelledError}
      * @alias module:Utilities.runCmdLive_
+     * @example
+     *   Util.runCmdLive_('npm', [ 'test' ], { onLine: (line, stream) => console.log(stream, line) });
      */
     runCmdLive_(cmd, args, onStdOut, onStdErr) {
-        return new Promise((resolve, reject) => {
-            let ps = childProcess.spawn(cmd, args, { windowsHide: true });
-            let e;
-            
-            if (onStdOut) {
-                ps.stdout.on('data', onStdOut);      
+        let options = _.isPlainObject(onStdOut) ? onStdOut : { onStdOut, onStdErr };
+
+        return spawnProcess(cmd, args, options).exited;
+    },
+
+    /**
+     * Execute a shell command and iterate its output lines asynchronously.
+     * @param {string} cmd - Command line to execute
+     * @param {Array} [args] - Arguments list
+     * @param {object} [options] - Options passed to child_process.spawn
+     * @returns {AsyncIterable.<Object>} Async iterable of { stream, line } records, with an "exited" promise of the exit code
+     * @alias module:Utilities.runCmdLines
+     * @example
+     *   let lines = Util.runCmdLines('tail', [ '-n', '100', logFile ]);
+     *   for await (const { stream, line } of lines) { ... }
+     *   let code = await lines.exited;
+     */
+    runCmdLines(cmd, args, options) {
+        let queue;
+        let { exited, kill } = spawnProcess(cmd, args, { ...options, onLine: (line, stream) => queue.push({ stream, line }) });
+
+        queue = createAsyncQueue(() => kill());
+        exited.then(() => queue.end(), error => queue.end(error));
+
+        return {
+            exited,
+            [Symbol.asyncIterator]: () => queue.iterator
+        };
+    },
+
+    /**
+     * Execute a shell command and parse its stdout as JSON.
+     * @param {string} cmd - Command line to execute
+     * @param {object} [options] - Options passed to runCmd_
+     * @returns {Promise.<*>}
+     * @throws {module:Utilities.CommandError}
+     * @throws {module:Utilities.ParseError}
+     * @alias module:Utilities.runCmdJson_
+     * @example
+     *   let containers = await Util.runCmdJson_('docker inspect my-container');
+     */
+    async runCmdJson_(cmd, options) {
+        let { stdout } = await U.runCmd_(cmd, options);
+        return parsers.parseJson(stdout, { cmd });
+    },
+
+    /**
+     * Execute a shell command and iterate the JSON records of its newline-delimited JSON stdout asynchronously, blank lines are skipped.
+     * @param {string} cmd - Command line to execute
+     * @param {Array} [args] - Arguments list
+     * @param {object} [options] - Options passed to runCmdLines
+     * @returns {AsyncIterable.<*>} Async iterable of records, with an "exited" promise of the exit code
+     * @throws {module:Utilities.ParseError}
+     * @alias module:Utilities.runCmdNdjson
+     * @example
+     *   for await (const event of Util.runCmdNdjson('docker', [ 'events', '--format', '{{json .}}' ])) { ... }
+     */
+    runCmdNdjson(cmd, args, options) {
+        let lines = U.runCmdLines(cmd, args, options);
+        let cmdLine = [ cmd, ...(args || []) ].join(' ');
+
+        return {
+            exited: lines.exited,
+            [Symbol.asyncIterator]: async function* () {
+                let lineNumber = 0;
+
+                for await (const { stream, line } of lines) {
+                    if (stream !== 'stdout') continue;
+
+                    lineNumber++;
+
+                    if (line.trim() !== '') {
+                        yield parsers.parseJsonLine(line, lineNumber, cmdLine);
+                    }
+                }
             }
+        };
+    },
+
+    /**
+     * Execute a command interactively, expecting its output and sending input to its stdin.
+     * @param {string} cmd - Command to execute
+     * @param {Array} [args] - Arguments list
+     * @param {object} [options] - Options passed to runCmdLive_
+     * @property {integer} [options.expectTimeout=10000] - Default milliseconds to wait for each expected output
+     * @returns {module:Utilities.InteractiveProcess}
+     * @alias module:Utilities.interact
+     * @example
+     *   let proc = Util.interact('apt-get', [ 'remove', pkg ]);
+     *   await proc.expect(/Continue\? \[y\/N\]/);
+     *   proc.send('y\n');
+     *   await proc.wait_();
+     */
+    interact(cmd, args, options) {
+        const InteractiveProcess = require('./interactive');
+        return new InteractiveProcess(cmd, args, options);
+    },
+
+    /**
+     * Start a background process and wait until it is ready.
+     * @param {string} cmd - Command to execute
+     * @param {Array} [args] - Arguments list
+     * @param {object} [options] - Options passed to runCmdLive_
+     * @property {RegExp|object|Function} [options.readyWhen] - A regex to match an output line, { port, host } to be connectable, or an async checker called with the handle
+     * @property {integer} [options.readyTimeout=30000] - Milliseconds to wait for the process to be ready
+     * @property {integer} [options.readyInterval=200] - Milliseconds between two probes of the port or the checker
+     * @property {integer} [options.maxLogLines=1000] - Max number of output lines to keep
+     * @returns {Promise.<module:Utilities.ManagedProcess>}
+     * @throws {module:Utilities.TimeoutError}
+     * @throws {module:Utilities.CommandError}
+     * @alias module:Utilities.startProcess_
+     * @example
+     *   let server = await Util.startProcess_('node', [ 'server.js' ], { readyWhen: { port: 3000 } });
+     *   ...
+     *   await server.stop_();
+     */
+    startProcess_(cmd, args, options) {
+        const ManagedProcess = require('./managed');
+        return new ManagedProcess(cmd, args, options).start_();
+    },
 
-            if (onStdErr) {
-                ps.stderr.on('data', onStdErr);
+    /**
+     * Execute a pipeline of commands without shell, the stdout of each stage is piped into the stdin of the next stage.
+     * Like "set -o pipefail", the pipeline fails and the remaining stages are killed as soon as any stage fails,
+     * except a stage failing after the next stage stops reading its output, e.g. the upstream of "head".
+     * @param {Array.<Array>} stages - List of [ cmd, args, options ]
+     * @param {object} [options] - Options passed to child_process.spawn of every stage
+     * @property {string|Buffer|stream.Readable} [options.input] - Input to be written to the stdin of the first stage
+     * @returns {Promise.<Object>} { code, stdout, stages: [ { cmd, args, code, signal, stderr } ] }
+     * @throws {module:Utilities.CommandError}
+     * @alias module:Utilities.runPipeline_
+     * @example
+     *   let { stdout } = await Util.runPipeline_([ [ 'git', [ 'log' ] ], [ 'grep', [ 'fix' ] ], [ 'wc', [ '-l' ] ] ]);
+     */
+    runPipeline_(stages, options) {
+        if (_.isEmpty(stages)) {
+            return Promise.reject(new Error('A pipeline should have at least one stage.'));
+        }
+
+        let { input, ...spawnOptions } = options || {};
+        let startedAt = Date.now();
+        let lastIndex = stages.length - 1;
+        let brokenPipes = [];
+        let stdoutChunks = [];
+        let failedIndex = null;
+        let failure;
+
+        let results = stages.map(([ cmd, args ]) => ({ cmd, args: args || [], code: null, signal: null, stderr: [] }));
+        let cmdLine = results.map(({ cmd, args }) => [ cmd, ...args ].join(' ')).join(' | ');
+
+        let processes = stages.map(([ cmd, args, stageOptions ], i) => spawnProcess(cmd, args, {
+            ...spawnOptions,
+            ...stageOptions,
+            input: i === 0 ? input : undefined,
+            onStdOut: i === lastIndex ? chunk => { stdoutChunks.push(chunk); } : undefined,
+            onStdErr: chunk => { results[i].stderr.push(chunk); }
+        }));
+
+        processes.forEach(({ ps }, i) => {
+            if (i > 0) {
+                let upstream = processes[i-1].ps.stdout;
+                let ended = false;
+
+                //the stage may exit before consuming all the output of its upstream, e.g. "yes | head",
+                //the upstream is then closed to fail writing instead of blocking on a full pipe forever
+                ps.stdin.on('error', _.noop);
+                upstream.on('end', () => { ended = true; });
+                ps.stdin.on('close', () => {
+                    if (ended) return;
+
+                    brokenPipes[i-1] = true;
+                    upstream.destroy();
+                });
+
+                upstream.pipe(ps.stdin);
             }
-            
-            ps.on('close', (code) => e ? reject(e) : resolve(code));
-            ps.on('error', (error) => { e = error; });              
         });
+
+        const fail = (i, error) => {
+            if (failedIndex !== null) return;
+
+            failedIndex = i;
+            failure = error;
+
+            processes.forEach(({ ps, kill }) => {
+                if (ps.exitCode === null && ps.signalCode === null) {
+                    kill();
+                }
+            });
+        };
+
+        return Promise.all(processes.map(({ ps, exited }, i) => exited.then(code => {
+            results[i].code = code;
+            results[i].signal = ps.signalCode;
+
+            //a stage failing to write after its reader stops reading has only produced more than needed
+            if (code !== 0 && !brokenPipes[i]) {
+                fail(i);
+            }
+        }, error => fail(i, error)))).then(() => {
+            let stdout = Buffer.concat(stdoutChunks).toString();
+            results.forEach(result => { result.stderr = Buffer.concat(result.stderr).toString(); });
+
+            if (failedIndex !== null) {
+                let stage = results[failedIndex];
+                let message = failure
+                    ? `Pipeline stage #${failedIndex} "${stage.cmd}" failed to start: ${failure.message}`
+                    : `Pipeline stage #${failedIndex} "${stage.cmd}" failed with ${stage.signal ? 'signal ' + stage.signal : 'exit code ' + stage.code}.`;
+
+                let error = new CommandError(message, {
+                    cmd: cmdLine,
+                    code: failure ? failure.code : stage.code,
+                    signal: stage.signal,
+                    stdout,
+                    stderr: stage.stderr,
+                    duration: Date.now() - startedAt
+                });
+                error.stages = results;
+
+                throw error;
+            }
+
+            return { code: results[lastIndex].code, stdout, stages: results };
+        });
+    },
+
+    /**
+     * Execute a list of shell commands with limited concurrency.
+     * @param {Array.<string|Object>} commands - List of command lines or { cmd, options } to be passed to runCmd_
+     * @param {object} [options]
+     * @property {integer} [options.concurrency] - Max number of commands running at the same time, defaults to the number of cpus
+     * @property {integer} [options.retries=0] - Times to retry a failed command
+     * @property {boolean} [options.failFast=false] - Reject with the error of the first failed command and stop starting new commands
+     * @returns {Promise.<Array>} List of { cmd, ok, code, stdout, stderr, attempts, duration, error } in the same order as the commands
+     * @throws {module:Utilities.CommandError}
+     * @alias module:Utilities.runCmdQueue_
+     * @example
+     *   let results = await Util.runCmdQueue_(packages.map(p => Util.cmd`npm test --prefix ${p}`), { concurrency: 4, retries: 1 });
+     */
+    runCmdQueue_(commands, options) {
+        let { concurrency = require('os').cpus().length, retries = 0, failFast = false } = options || {};
+
+        const runCommand_ = async (item) => {
+            let { cmd, options: cmdOptions } = typeof item === 'string' ? { cmd: item } : item;
+            let startedAt = Date.now();
+            let attempts = 0;
+
+            try {
+                let { stdout, stderr } = await U.retry_(attempt => {
+                    attempts = attempt;
+                    return U.runCmd_(cmd, cmdOptions);
+                }, { retries, minDelay: 0 });
+
+                return { cmd, ok: true, code: 0, stdout, stderr, attempts, duration: Date.now() - startedAt };
+            } catch (retryError) {
+                let error = retryError.lastError;
+                return { cmd, ok: false, code: error.code, stdout: error.stdout, stderr: error.stderr, attempts, duration: Date.now() - startedAt, error };
+            }
+        };
+
+        return U.mapLimit_(commands, Math.max(1, concurrency), async (item) => {
+            let result = await runCommand_(item);
+
+            if (!result.ok && failFast) {
+                throw result.error;
+            }
+
+            return result;
+        });
+    },
+
+    /**
+     * Locate an executable in the PATH, only regular files with the executable permission are matched.
+     * @param {string} name - Name of the executable, or a path if it contains "/"
+     * @param {object} [options]
+     * @property {string} [options.path=process.env.PATH] - Directories to search
+     * @property {boolean} [options.all=false] - Return all the matched paths instead of the first one
+     * @returns {Promise.<string|Array.<string>>} Full path or null if not found, or an array of all the full paths (empty if not found) if options.all is set
+     * @alias module:Utilities.which_
+     */
+    async which_(name, options) {
+        const path = require('path');
+        let { path: searchPath = process.env.PATH || '', all = false } = options || {};
+        let found = [];
+
+        let candidates = name.indexOf('/') !== -1
+            ? [ path.resolve(name) ]
+            : searchPath.split(path.delimiter).filter(dir => dir !== '').map(dir => path.join(dir, name));
+
+        for (let candidate of candidates) {
+            try {
+                let stats = await U.fs.stat(candidate);
+
+                if (stats.isFile()) {
+                    await U.fs.access(candidate, U.fs.constants.X_OK);
+
+                    if (!all) return candidate;
+                    found.push(candidate);
+                }
+            } catch (error) {
+                //not found or not executable
+            }
+        }
+
+        return all ? _.uniq(found) : null;
+    },
+
+    /**
+     * Check that tools exist and their versions satisfy the semver ranges.
+     * The version is extracted from the output of running the tool with its version flag.
+     * @param {string|Object} name - Name of the tool, or a map of name to range (or { range, versionFlag })
+     * @param {string} [range] - Semver range, only existence is checked if omitted
+     * @param {object} [options]
+     * @property {string} [options.versionFlag='--version'] - Flag to print the version
+     * @returns {Promise.<Object>} { path, version } of the tool, or a map of name to { path, version }
+     * @throws {module:Utilities.MissingToolError}
+     * @alias module:Utilities.requireTool_
+     * @example
+     *   await Util.requireTool_('docker', '>=20');
+     *   await Util.requireTool_({ git: '^2.20', java: { range: '>=11', versionFlag: '-version' } });
+     */
+    async requireTool_(name, range, options) {
+        const semver = require('semver');
+        let single = typeof name === 'string';
+        let requirements = single ? { [name]: range } : name;
+
+        if (!single) {
+            options = range;
+        }
+
+        let { versionFlag = '--version' } = options || {};
+        let results = {};
+        let missing = [];
+
+        await Promise.all(_.map(requirements, async (requirement, toolName) => {
+            let { range: toolRange, versionFlag: toolVersionFlag = versionFlag } = _.isPlainObject(requirement) ? requirement : { range: requirement };
+            let info = { name: toolName, range: toolRange, path: await U.which_(toolName), version: null };
+
+            if (!info.path) {
+                missing.push({ ...info, reason: 'not found' });
+                return;
+            }
+
+            if (toolRange) {
+                let output;
+
+                try {
+                    let { stdout, stderr } = await U.runCmd_(U.cmd`${info.path} ${toolVersionFlag}`, { timeout: 30000 });
+                    output = stdout + '\n' + stderr;
+                } catch (error) {
+                    //some tools print the version with a non-zero exit code
+                    output = (error.stdout || '') + '\n' + (error.stderr || '');
+                }
+
+                let coerced = semver.coerce(output);
+
+                if (!coerced) {
+                    missing.push({ ...info, reason: `no version found in the output of "${info.path} ${toolVersionFlag}"` });
+                    return;
+                }
+
+                info.version = coerced.version;
+
+                if (!semver.satisfies(info.version, toolRange)) {
+                    missing.push({ ...info, reason: `version ${info.version} does not satisfy "${toolRange}"` });
+                    return;
+                }
+            }
+
+            results[toolName] = _.pick(info, [ 'path', 'version' ]);
+        }));
+
+        if (missing.length > 0) {
+            missing = _.sortBy(missing, 'name');
+
+            throw new MissingToolError('Missing required tools:\n' + missing.map(tool => `  - ${tool.name}${tool.range ? ' (' + tool.range + ')' : ''}: ${tool.reason}`).join('\n'), missing);
+        }
+
+        return single ? results[name] : results;
     },
 
     /**
      * Execute a shell command synchronously
      * @param {string} cmd - Command line to execute
+     * @param {object} [options] - Options passed to child_process.execSync, e.g. cwd, env, maxBuffer, timeout
+     * @property {string|Buffer} [options.input] - Input to be written to the stdin of the command
      * @returns {string}
+     * @throws {module:Utilities.CommandError}
      * @alias module:Utilities.runCmdSync
      */
-    runCmdSync(cmd) {
-        return childProcess.execSync(cmd).toString();
+    runCmdSync(cmd, options) {
+        if (options && options.input && typeof options.input.pipe === 'function') {
+            throw new Error('Stream input is not supported by runCmdSync, use runCmd_ instead.');
+        }
+
+        let startedAt = Date.now();
+
+        try {
+            return executor.execSync(cmd, options).toString();
+        } catch (error) {
+            throw new CommandError(error.message, {
+                cmd,
+                code: _.isNil(error.status) ? error.code : error.status,
+                signal: error.signal,
+                stdout: error.stdout && error.stdout.toString(),
+                stderr: error.stderr && error.stderr.toString(),
+                duration: Date.now() - startedAt
+            });
+        }
+    },
+
+    /**
+     * Quote a value as a single POSIX shell argument, an array is expanded into multiple quoted arguments.
+     * @param {*} value
+     * @returns {string}
+     * @alias module:Utilities.shellQuote
+     * @example
+     *   shellQuote('my file.txt') => 'my file.txt' (in single quotes)
+     *   shellQuote([ 'a', 'b c' ]) => a 'b c'
+     */
+    shellQuote: function (value) {
+        if (Array.isArray(value)) {
+            return value.map(U.shellQuote).join(' ');
+        }
+
+        let str = _.isNil(value) ? '' : value.toString();
+
+        if (str !== '' && shellSafeChars.test(str)) {
+            return str;
+        }
+
+        return "'" + U.replaceAll(str, "'", "'\\''") + "'";
     },
 
     /**
-     * Load a js file in sand box.
+     * Tagged template to build a command line with every interpolated value quoted for POSIX shells.
+     * The result can be passed to runCmd_, runCmdSync or split into arguments by splitCmd for runCmdLive_.
+     * @param {Array.<string>} strings
+     * @param {...*} values
+     * @returns {string}
+     * @alias module:Utilities.cmd
+     * @example
+     *   Util.runCmd_(Util.cmd`git log ${branch} -- ${files}`);
+     */
+    cmd: function (strings, ...values) {
+        return strings.reduce((result, str, i) => result + U.shellQuote(values[i-1]) + str);
+    },
+
+    /**
+     * Split a command line into an argument list following POSIX shell quoting rules.
+     * @param {string} cmdLine
+     * @returns {Array.<string>}
+     * @alias module:Utilities.splitCmd
+     * @example
+     *   let [ cmd, ...args ] = Util.splitCmd(Util.cmd`ls -l ${dir}`);
+     *   Util.runCmdLive_(cmd, args, onStdOut);
+     */
+    splitCmd: function (cmdLine) {
+        let args = [];
+        let current = null;
+        let quoteChar = null;
+        let l = cmdLine.length;
+
+        for (let i = 0; i < l; i++) {
+            let c = cmdLine[i];
+
+            if (quoteChar === "'") {
+                if (c === "'") {
+                    quoteChar = null;
+                } else {
+                    current += c;
+                }
+            } else if (quoteChar === '"') {
+                if (c === '"') {
+                    quoteChar = null;
+                } else if (c === '\\' && i + 1 < l && '"\\$`'.indexOf(cmdLine[i+1]) !== -1) {
+                    current += cmdLine[++i];
+                } else {
+                    current += c;
+                }
+            } else if (/\s/.test(c)) {
+                if (current !== null) {
+                    args.push(current);
+                    current = null;
+                }
+            } else {
+                if (current === null) current = '';
+
+                if (c === "'" || c === '"') {
+                    quoteChar = c;
+                } else if (c === '\\' && i + 1 < l) {
+                    current += cmdLine[++i];
+                } else {
+                    current += c;
+                }
+            }
+        }
+
+        if (quoteChar) {
+            throw new Error(`Unterminated ${quoteChar} quote in command line: ${cmdLine}`);
+        }
+
+        if (current !== null) {
+            args.push(current);
+        }
+
+        return args;
+    },
+
+    /**
+     * Load a js file in sand box, i.e. a fresh vm context, and get its exports.
+     * Local .js and .json files required by the file are loaded in the same sand box, and thenable exports are awaited.
+     * Plain objects and arrays of the exports are copied into the realm of the caller, so they are instances of its Object and Array as with require,
+     * other objects created by the file, e.g. functions and class instances, belong to the realm of the sand box.
      * @param {string} file - Source file
      * @param {object} [variables] - Variables as global
-     * @param {object} [deps] - Dependencies
+     * @param {object} [deps] - Virtual modules resolved before looking up the disk, map of module specifier to the module object
+     * or a lazyModule() to be created when required for the first time. Specifiers can be names, scoped names or paths relative to the directory of the file.
+     * @param {object} [options]
+     * @property {object} [options.globals] - Default globals, console, process, Buffer and timers if omitted
+     * @property {integer} [options.timeout] - Milliseconds allowed for executing the file and for resolving thenable exports
+     * @property {object} [options.policy] - Policy of the built-in and package modules allowed to be required, others are denied.
+     * With a policy, console, timers and a process with only a few members are built inside the sand box, and Buffer, URL and the text codecs are not provided,
+     * so the script cannot reach the real process through the constructors of its globals. The variables, virtual modules and allowed modules are objects
+     * of the caller, and so are the arguments passed to the functions exported by the script, they give the script access to what they can reach.
+     * @property {object} [options.policy.modules] - Map of allowed module names to true, a facade object, or a function creating the facade from the real module
+     * @property {object} [options.policy.logger] - Logger with a log(level, message, info) method, allowed requires are logged as "info" and denied ones as "warn"
+     * @property {Array.<string>} [options.policy.env] - Names of the environment variables in process.env of the sand box, none by default
      * @returns {AsyncFunction.<*>}
+     * @throws {module:Utilities.TimeoutError}
+     * @throws {module:Utilities.AccessDeniedError}
      * @alias module:Utilities.load_
+     * @example
+     *   let rules = await Util.load_('./rules.js', { threshold: 10 }, { '@app/helpers': helpers, './db': Util.lazyModule(() => connect()) }, { timeout: 1000 });
+     *   let rule = await Util.load_(ruleFile, null, null, { policy: { modules: { lodash: true, fs: Util.readOnlyFs }, logger } });
+     */
+    async load_(file, variables, deps, options) {
+        const Sandbox = require('./sandbox');
+        return new Sandbox({ ...options, variables, deps }).import_(file);
+    },
+
+    /**
+     * Load a js file in sand box like load_, and reload it when the file or the local files it requires change.
+     * @param {string} file - Source file
+     * @param {object} [variables] - Variables as global
+     * @param {object} [deps] - Virtual modules, see load_
+     * @param {object} [options] - Options passed to load_
+     * @property {integer} [options.debounce=100] - Milliseconds to wait for a burst of changes to settle before reloading
+     * @returns {Promise.<module:Utilities.ModuleWatcher>} The watcher with the latest good exports, close() it to stop watching
+     * @alias module:Utilities.watchLoad_
+     * @example
+     *   let rules = await Util.watchLoad_('./rules.js');
+     *   rules.on('reloaded', exports => console.log('rules reloaded'));
+     *   rules.on('error', error => console.error(error));
+     *   ...
+     *   evaluate(rules.exports);
+     *   ...
+     *   rules.close();
+     */
+    watchLoad_(file, variables, deps, options) {
+        const ModuleWatcher = require('./watcher');
+        return new ModuleWatcher(file, variables, deps, options).start_();
+    },
+
+    /**
+     * Load layered config files in a directory, "default", then "<env>", then "local", each can be a .json file or a .js file loaded by load_.
+     * Layers are deep merged with arrays replaced, and then "{{ }}" placeholders of string values are interpolated by template
+     * against the merged config, with the environment variables as "env", e.g. "{{ db.host }}:{{ env.DB_PORT }}".
+     * Placeholders may refer to other values with placeholders, and the interpolated text is inserted as it is without being interpolated again.
+     * @param {string} dir - Directory of the config files
+     * @param {object} [options]
+     * @property {string} [options.env=process.env.NODE_ENV || 'development'] - Name of the environment layer
+     * @property {object} [options.variables=process.env] - Environment variables for interpolation
+     * @property {object} [options.loadOptions] - Options passed to load_ for .js files
+     * @returns {Promise.<Object>} { config, sources, files }, sources is a map of the dot-separated path of each value to the file it comes from
+     * @alias module:Utilities.loadConfig_
+     * @example
+     *   let { config, sources } = await Util.loadConfig_('./conf', { env: 'production' });
+     *   console.log(config.db.url, 'from', sources['db.url']);
+     */
+    loadConfig_(dir, options) {
+        return require('./config')(dir, options);
+    },
+
+    /**
+     * Load the modules matched by a glob pattern into a registry keyed by names derived from the file names.
+     * @param {string} pattern - Glob pattern of the module files
+     * @param {object} [options]
+     * @property {string} [options.cwd=process.cwd()] - Directory to match the pattern in
+     * @property {string|Function} [options.keyOf='camelCase'] - 'camelCase', 'pascalCase', or a function of (baseName, file) returning the key
+     * @property {boolean|Function} [options.sort=false] - Sort the modules by file path, or by a comparator of two { key, file } entries, e.g. for ordered migrations
+     * @property {Function} [options.loader] - Function of (file) returning the exports or a promise of it, require by default, e.g. file => Util.load_(file)
+     * @property {object} [options.globOptions] - Extra options passed to glob, e.g. ignore
+     * @returns {Promise.<Object>} Registry of key to exports, in the order of the files
+     * @throws {Error} If two files have the same key
+     * @alias module:Utilities.loadModules_
+     * @example
+     *   let handlers = await Util.loadModules_('handlers/*.js', { cwd: __dirname });
+     *   let migrations = await Util.loadModules_('migrations/*.js', { keyOf: name => name, sort: true });
      */
-    async load_(file, variables, deps) {
-        let System = require('systemjs');
-        let loader = new System.constructor();
+    async loadModules_(pattern, options) {
+        const path = require('path');
+        let { cwd = process.cwd(), keyOf = 'camelCase', sort = false, loader = file => require(file), globOptions } = options || {};
 
-        if (variables) {
-            loader.config({'global': variables});
+        if (typeof keyOf === 'string') {
+            if (keyOf !== 'camelCase' && keyOf !== 'pascalCase') {
+                throw new Error(`Invalid keyOf option "${keyOf}", expected "camelCase", "pascalCase" or a function.`);
+            }
+
+            let caseOf = keyOf === 'camelCase' ? _.camelCase : U.pascalCase;
+            keyOf = baseName => caseOf(baseName);
         }
 
-        if (deps) {
-            _.forOwn(deps, k => {
-                loader.set(k, deps[k]);
-            });
+        let files = await U.glob(pattern, { nodir: true, ...globOptions, cwd, absolute: true });
+        let entries = files.map(file => ({ key: keyOf(path.basename(file, path.extname(file)), file), file }));
+        let byKey = _.groupBy(entries, 'key');
+        let duplicates = _.filter(byKey, group => group.length > 1);
+
+        if (duplicates.length > 0) {
+            throw new Error('Duplicate module keys: ' + duplicates.map(group => `"${group[0].key}" of ${group.map(entry => entry.file).join(', ')}`).join('; '));
+        }
+
+        if (sort) {
+            entries.sort(typeof sort === 'function' ? sort : (a, b) => a.file < b.file ? -1 : (a.file > b.file ? 1 : 0));
         }
 
-        return await loader.import(file);
+        let registry = {};
+
+        for (let { key, file } of entries) {
+            registry[key] = await loader(file);
+        }
+
+        return registry;
+    },
+
+    /**
+     * Mark a factory creating a virtual module for load_, the factory is called with the specifier and the requiring file
+     * when the module is required for the first time in a sand box.
+     * @param {Function} factory - Function returning the module
+     * @returns {object}
+     * @alias module:Utilities.lazyModule
+     */
+    lazyModule(factory) {
+        return require('./sandbox').lazyModule(factory);
+    },
+
+    /**
+     * Create a facade of the fs module with only the members reading the file system, e.g. for the policy of load_.
+     * @param {object} [fsModule] - The fs module or a compatible one, e.g. fs-extra, the built-in fs if omitted
+     * @returns {object}
+     * @alias module:Utilities.readOnlyFs
+     */
+    readOnlyFs(fsModule) {
+        return require('./sandbox').readOnlyFs(fsModule);
     },
 
     /**
@@ -199,58 +1368,246 @@ const U = {
     },
 
     /**
-     * Iterate an array of an object asynchronously
-     * @param {Array|Object} obj
-     * @param {module:Utilities.iteratorFunction} iterator
-     * @returns {Promise.<Array|Object>}
+     * Map items with an async function, running at most the given number of calls at the same time.
+     * By default, it rejects with the first error and stops starting new calls.
+     * In settle mode, it waits for all the calls and resolves the outcome of each item, like Promise.allSettled.
+     * @param {Array|Iterable} items - Items to map
+     * @param {integer} limit - Max number of calls running at the same time, Infinity for no limit
+     * @param {Function} fn - Async function of (item, index)
+     * @param {object} [options]
+     * @property {boolean} [options.settle=false] - Resolve { status: 'fulfilled', value }, { status: 'rejected', reason } or { status: 'skipped' } for each item instead of rejecting
+     * @property {boolean} [options.stopOnError=!settle] - Stop starting new calls after the first failure, the items not started are "skipped" in settle mode
+     * @returns {Promise.<Array>} Results in the same order as the items
+     * @alias module:Utilities.mapLimit_
+     * @example
+     *   let users = await Util.mapLimit_(ids, 10, id => api.getUser_(id));
+     *   let outcomes = await Util.mapLimit_(ids, 10, id => api.deleteUser_(id), { settle: true });
+     */
+    mapLimit_(items, limit, fn, options) {
+        let { settle = false, stopOnError = !settle } = options || {};
+
+        if (!(limit >= 1)) {
+            return Promise.reject(new TypeError(`Invalid limit "${limit}", a positive number is expected.`));
+        }
+
+        items = Array.from(items);
+
+        let l = items.length;
+        let results = new Array(l);
+        let next = 0;
+        let stopped = false;
+
+        return new Promise((resolve, reject) => {
+            const worker_ = async () => {
+                while (next < l && !stopped) {
+                    let i = next++;
+
+                    try {
+                        let value = await fn(items[i], i);
+                        results[i] = settle ? { status: 'fulfilled', value } : value;
+                    } catch (reason) {
+                        if (stopOnError) stopped = true;
+
+                        if (!settle) {
+                            reject(reason);
+                            return;
+                        }
+
+                        results[i] = { status: 'rejected', reason };
+                    }
+                }
+            };
+
+            Promise.all(_.times(Math.min(limit, l), worker_)).then(() => {
+                if (settle) {
+                    for (let i = next; i < l; i++) {
+                        results[i] = { status: 'skipped' };
+                    }
+                }
+
+                resolve(results);
+            }, reject);
+        });
+    },
+
+    /**
+     * Iterate a collection asynchronously, sequentially by default.
+     * Results are shaped by the collection: an array for arrays, Sets, other iterables and async iterables,
+     * an object for plain objects, and a Map for Maps.
+     * @param {Array|Object|Map|Set|Iterable|AsyncIterable} obj
+     * @param {module:Utilities.iteratorFunction} iterator - Called with (value, key or index, obj)
+     * @param {object} [options]
+     * @property {integer} [options.concurrency=1] - Max number of iterator calls running at the same time
+     * @returns {Promise.<Array|Object|Map>}
+     * @throws {TypeError} If the collection is not iterable
      * @alias module:Utilities.eachAsync_
+     * @example
+     *   let sizes = await Util.eachAsync_(new Map([[ 'a', 'a.txt' ]]), file => getSize_(file), { concurrency: 4 });
      */
-    async eachAsync_(obj, iterator) {
+    async eachAsync_(obj, iterator, options) {
+        let { concurrency = 1 } = options || {};
+
         if (_.isArray(obj)) {
-            let r = [];
+            return U.mapLimit_(obj, concurrency, (value, i) => iterator(value, i, obj));
+        }
 
-            let l = obj.length;
-            for (let i = 0; i < l; i++) {
-                r.push(await iterator(obj[i], i, obj));
-            }
+        if (obj instanceof Map) {
+            let entries = Array.from(obj);
+            let values = await U.mapLimit_(entries, concurrency, ([ key, value ]) => iterator(value, key, obj));
 
-            return r;
-        } else if (_.isPlainObject(obj)) {
-            let r = {};
+            return new Map(entries.map(([ key ], i) => [ key, values[i] ]));
+        }
 
-            for (let k in obj) {
-                if (obj.hasOwnProperty(k)) {
-                    r[k] = await iterator(obj[k], k, obj);
-                }
+        if (_.isPlainObject(obj)) {
+            let keys = Object.keys(obj);
+            let values = await U.mapLimit_(keys, concurrency, key => iterator(obj[key], key, obj));
+
+            return _.zipObject(keys, values);
+        }
+
+        //primitive strings are iterable but rarely meant to be iterated by char
+        if (_.isObjectLike(obj) || typeof obj === 'function') {
+            if (typeof obj[Symbol.iterator] === 'function') {
+                return U.mapLimit_(obj, concurrency, (value, i) => iterator(value, i, obj));
             }
 
-            return r;
-        } else {
-            return Promise.reject('Invalid argument!');
+            if (typeof obj[Symbol.asyncIterator] === 'function') {
+                if (!(concurrency >= 1)) {
+                    throw new TypeError(`Invalid concurrency "${concurrency}", a positive number is expected.`);
+                }
+
+                return mapAsyncIterable_(obj, concurrency, (value, i) => iterator(value, i, obj));
+            }
         }
+
+        throw new TypeError(`Expected an array, object, Map, Set, iterable or async iterable, but got ${typeName(obj)}.`);
     },
 
     /**
-     * Run an array of promise factory sequentially and return immediately if any result of them meets the predication
-     * @param {Array.<module:Utilities.promiseFunction>} arrayOfPromiseFactory
-     * @param {module:Utilities.predicateFunction} [predicate]
-     * @returns {Promise.<Array>}
+     * Create an AbortController, or before node 15 a minimal one with signal.aborted, signal.addEventListener, signal.removeEventListener and abort(),
+     * enough for the signal options of the utilities.
+     * @function
+     * @returns {AbortController}
+     * @alias module:Utilities.createAbortController
+     */
+    createAbortController: createAbortController,
+
+    /**
+     * Run an array of promise factory sequentially and return immediately if any result of them meets the predication.
+     * In parallel mode, up to the given number of factories run at the same time, and the ones still running are aborted
+     * through the AbortSignal passed to each factory once a result meets the predication.
+     * @param {Array.<module:Utilities.promiseFunction>} arrayOfPromiseFactory - Factories called with an AbortSignal
+     * @param {module:Utilities.predicateFunction} [predicate] - Whether a result is a match, any truthy result is a match if omitted
+     * @param {object} [options]
+     * @property {integer} [options.concurrency=1] - Max number of factories running at the same time
+     * @returns {Promise.<Array>} [ index, result ] of the first match, or undefined if nothing matches
      * @alias module:Utilities.ifAnyPromise_
      * @example
      * let array = [ ... ];
      * Util.ifAnyPromise_(_.map(array, a => () => new Promsie(...)), result => result === 'somevalue').then(found => { ... });
+     * let [ index ] = await Util.ifAnyPromise_(mirrors.map(url => signal => probe_(url, { signal })), ok => ok, { concurrency: 3 });
      */
-    async ifAnyPromise_(arrayOfPromiseFactory, predicate) {
-        let l = arrayOfPromiseFactory.length;
+    async ifAnyPromise_(arrayOfPromiseFactory, predicate, options) {
+        if (_.isPlainObject(predicate)) {
+            options = predicate;
+            predicate = undefined;
+        }
 
-        for (let i = 0; i < l; i++) {
-            let result = await arrayOfPromiseFactory[i]();
-            if ((predicate && predicate(result)) || result) return Promise.resolve([i, result]);
+        let { concurrency = 1 } = options || {};
+        let controllers = {};
+        let stop = {};
+        let found;
+
+        const abortAll = () => {
+            _.forOwn(controllers, controller => controller.abort());
+            controllers = {};
+        };
+
+        try {
+            //a match is thrown to stop mapLimit_ from starting the rest
+            await U.mapLimit_(arrayOfPromiseFactory, concurrency, async (promiseFactory, i) => {
+                if (found) return;
+
+                let controller = createAbortController();
+                controllers[i] = controller;
+
+                try {
+                    let result = await promiseFactory(controller.signal);
+
+                    //factories settled in the same tick after the first match are ignored
+                    if (!found && (predicate ? predicate(result) : result)) {
+                        found = [ i, result ];
+                        delete controllers[i];
+                        abortAll();
+                        throw stop;
+                    }
+                } finally {
+                    delete controllers[i];
+                }
+            });
+        } catch (error) {
+            abortAll();
+
+            //a factory rejecting once aborted does not hide the match
+            if (found) return found;
+            throw error;
         }
 
         return undefined;
     },
 
+    /**
+     * Call an async function until it succeeds, with exponential backoff between the attempts.
+     * The delay before the nth retry is min(maxDelay, minDelay * factor ^ (n - 1)), reduced randomly by up to the jitter ratio.
+     * @param {Function} fn - Async function called with the attempt number, starting from 1
+     * @param {object} [options]
+     * @property {integer} [options.retries=3] - Max times to retry after the first attempt
+     * @property {integer} [options.minDelay=100] - Milliseconds to wait before the first retry
+     * @property {integer} [options.maxDelay=10000] - Max milliseconds to wait between two attempts
+     * @property {number} [options.factor=2] - Growth factor of the delay
+     * @property {number|boolean} [options.jitter=0] - Ratio of the delay to be randomly reduced, true for 1 (full jitter)
+     * @property {Function} [options.retryIf] - Function of (error, attempt) returning whether to retry, all errors are retried if omitted
+     * @property {Function} [options.onRetry] - Function of (error, attempt, delay) called before waiting for the next attempt
+     * @property {AbortSignal} [options.signal] - Signal to stop retrying, the sleep between attempts is interrupted
+     * @returns {Promise.<*>} Result of the successful attempt
+     * @throws {module:Utilities.RetryError} With the errors of all the attempts
+     * @alias module:Utilities.retry_
+     * @example
+     *   let body = await Util.retry_(attempt => fetchJson_(url), {
+     *       retries: 5,
+     *       jitter: 0.5,
+     *       retryIf: error => error.status >= 500,
+     *       onRetry: (error, attempt, delay) => logger.warn(`attempt ${attempt} failed, retry in ${delay} ms`)
+     *   });
+     */
+    async retry_(fn, options) {
+        let { retries = 3, minDelay = 100, maxDelay = 10000, factor = 2, jitter = 0, retryIf, onRetry, signal } = options || {};
+        let jitterRatio = jitter === true ? 1 : (jitter || 0);
+        let errors = [];
+
+        for (let attempt = 1; ; attempt++) {
+            if (signal && signal.aborted) {
+                throw abortError(signal);
+            }
+
+            try {
+                return await fn(attempt);
+            } catch (error) {
+                errors.push(error);
+
+                if (attempt > retries || (retryIf && !(await retryIf(error, attempt)))) {
+                    throw new RetryError(`Failed after ${attempt} attempt(s): ${error && error.message}`, errors);
+                }
+
+                let delay = Math.min(maxDelay, minDelay * Math.pow(factor, attempt - 1));
+                delay = Math.round(delay * (1 - jitterRatio * Math.random()));
+
+                onRetry && await onRetry(error, attempt, delay);
+                await abortableSleep_(delay, signal);
+            }
+        }
+    },
+
     /**
      * Returns a promise to be resolved after given duration (ms)
      * @param {integer} ms - milliseconds
@@ -260,27 +1617,77 @@ const U = {
 
     /**
      * Run the checker every given duration for certain rounds until the checker returns non-false value.
+     * Besides the positional form, an options object can be given as the second argument,
+     * e.g. waitUntil_(checker, { timeout: 30000, interval: 100, factor: 2, throwOnTimeout: true }).
      * @param {Function} checker - predicator
-     * @param {integer} [checkInterval=1000]
+     * @param {integer|Object} [checkInterval=1000] - Milliseconds between two checks, or the options
+     * @property {integer} [checkInterval.interval=1000] - Milliseconds before the second check
+     * @property {number} [checkInterval.factor=1] - Growth factor of the interval after each check, i.e. backoff
+     * @property {integer} [checkInterval.maxInterval] - Max milliseconds between two checks
+     * @property {integer} [checkInterval.timeout] - Max milliseconds to wait in total, including the time taken by the checker
+     * @property {integer} [checkInterval.maxRounds] - Max rounds of checks after the first one, 10 if no timeout is given, otherwise unlimited
+     * @property {AbortSignal} [checkInterval.signal] - Signal to stop waiting
+     * @property {boolean} [checkInterval.throwOnTimeout=false] - Reject with a TimeoutError instead of returning the last result if the condition is not met in time
      * @param {integer} [maxRounds=10]
      * @returns {*}
+     * @throws {module:Utilities.TimeoutError} With the rounds run and the last result, if throwOnTimeout is set
      * @alias module:Utilities.waitUntil_
      */
     waitUntil_: async function (checker, checkInterval = 1000, maxRounds = 10) {
-        let result = await checker();
+        //the positional form always checks again at least once
+        let options = _.isPlainObject(checkInterval) ? checkInterval : { interval: checkInterval, maxRounds: Math.max(1, maxRounds) };
+        let { interval = 1000, factor = 1, maxInterval = Infinity, timeout, signal, throwOnTimeout = false } = options;
+        let startedAt = Date.now();
+        let rounds = 1;
+        let timedOut = false;
+
+        maxRounds = _.isNil(options.maxRounds) ? (timeout > 0 ? Infinity : 10) : options.maxRounds;
+
+        //the timeout also covers a checker which takes long or never settles
+        const check_ = async (lastResult) => {
+            if (!(timeout > 0)) return checker();
+
+            try {
+                return await Promise.resolve(checker()).timeout(Math.max(0, timeout - (Date.now() - startedAt)));
+            } catch (error) {
+                if (!(error instanceof Promise.TimeoutError)) throw error;
+
+                timedOut = true;
+                return lastResult;
+            }
+        };
+
+        if (signal && signal.aborted) {
+            throw abortError(signal);
+        }
+
+        let result = await check_();
         if (result) return result;
-    
-        let counter = 0;
-        do {
-            await Promise.delay(checkInterval); 
-    
-            result = await checker();
-    
-            if (result) {
-                break;
+
+        while (!timedOut && rounds <= maxRounds) {
+            let delay = interval;
+
+            if (timeout > 0) {
+                let remaining = timeout - (Date.now() - startedAt);
+                if (remaining <= 0) break;
+
+                delay = Math.min(delay, remaining);
             }
-        } while (++counter < maxRounds);
-    
+
+            await abortableSleep_(delay, signal);
+
+            result = await check_(result);
+            rounds++;
+
+            if (result) return result;
+
+            interval = Math.min(maxInterval, interval * factor);
+        }
+
+        if (throwOnTimeout) {
+            throw new TimeoutError(`Condition is not met after ${rounds} rounds in ${Date.now() - startedAt} ms.`, { rounds, lastResult: result });
+        }
+
         return result;
     },
 
@@ -495,6 +1902,28 @@ const U = {
         return '0x' + _.range(bin.length).map(i => bin.charCodeAt(i).toString(16)).join('');
     },
 
+    //parsing related-----------
+
+    parseJson: parsers.parseJson,
+
+    parseNdjson: parsers.parseNdjson,
+
+    parseCsv: parsers.parseCsv,
+
+    parseColumns: parsers.parseColumns,
+
+    parseKeyValue: parsers.parseKeyValue,
+
+    parseEnv: dotenv.parseEnv,
+
+    loadEnv_: dotenv.loadEnv_,
+
+    //expression related-----------
+
+    compileExpression: expression.compileExpression,
+
+    evaluateExpression: expression.evaluateExpression,
+
     //collection related-----------
 
     /**
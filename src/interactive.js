@@ -0,0 +1,182 @@
+"use strict";
+
+const { PassThrough } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const _ = require('lodash');
+const { CommandError, TimeoutError } = require('./errors');
+
+/**
+ * Expect-style driver of an interactive process, started by runCmdLive_.
+ * @class
+ * @alias module:Utilities.InteractiveProcess
+ * @example
+ *   let proc = Util.interact('npm', [ 'init' ]);
+ *   await proc.expect(/package name:/);
+ *   proc.send('my-package\n');
+ *   let code = await proc.wait_();
+ */
+class InteractiveProcess {
+    /**
+     * @param {string} cmd - Command to execute
+     * @param {Array} [args] - Arguments list
+     * @param {object} [options] - Options passed to runCmdLive_
+     * @property {integer} [options.expectTimeout=10000] - Default milliseconds to wait for each expected output
+     */
+    constructor(cmd, args, options) {
+        const U = require('./index');
+        let { expectTimeout = 10000, ...runOptions } = options || {};
+
+        this.cmd = [ cmd, ...(args || []) ].join(' ');
+        this.expectTimeout = expectTimeout;
+
+        /**
+         * Everything the process has written to stdout and stderr so far.
+         * @member {string}
+         */
+        this.transcript = '';
+
+        /**
+         * Exit code of the process after it exits.
+         * @member {integer}
+         */
+        this.code = undefined;
+
+        this._cursor = 0;
+        this._failure = null;
+        this._waiters = [];
+        this._stdin = new PassThrough();
+        this._decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+
+        this.exited = U.runCmdLive_(cmd, args, {
+            ...runOptions,
+            input: this._stdin,
+            onStdOut: chunk => this._receive(this._decoders.stdout.write(chunk)),
+            onStdErr: chunk => this._receive(this._decoders.stderr.write(chunk))
+        }).then(code => {
+            this.code = code;
+            this._receive(this._decoders.stdout.end() + this._decoders.stderr.end());
+            this._rejectAll(waiter => new CommandError(`Process exited with code ${code} before the output matched ${waiter.pattern}.`, {
+                cmd: this.cmd,
+                code,
+                stdout: this.transcript
+            }));
+
+            return code;
+        }, error => {
+            this._failure = error;
+            this._rejectAll(() => error);
+            throw error;
+        });
+
+        //errors are delivered to the pending expectations or to the caller of wait_
+        this.exited.catch(() => {});
+    }
+
+    /**
+     * Wait until the output not yet matched contains the pattern.
+     * @param {RegExp|string} pattern
+     * @param {integer} [timeout] - Milliseconds to wait, defaults to the expectTimeout option
+     * @returns {Promise.<Array>} The match
+     * @throws {module:Utilities.TimeoutError}
+     */
+    expect(pattern, timeout) {
+        return new Promise((resolve, reject) => {
+            let waiter = { pattern, resolve, reject };
+
+            if (this._tryMatch(waiter)) return;
+
+            if (this._failure) {
+                return reject(this._failure);
+            }
+
+            if (this.code !== undefined) {
+                return reject(new CommandError(`Process exited with code ${this.code} before the output matched ${pattern}.`, {
+                    cmd: this.cmd,
+                    code: this.code,
+                    stdout: this.transcript
+                }));
+            }
+
+            let ms = _.isNil(timeout) ? this.expectTimeout : timeout;
+
+            waiter.timer = setTimeout(() => {
+                _.pull(this._waiters, waiter);
+                reject(new TimeoutError(`Timed out after ${ms} ms waiting for the output to match ${pattern}.`, {
+                    pattern,
+                    transcript: this.transcript
+                }));
+            }, ms);
+
+            this._waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Write text to the stdin of the process.
+     * @param {string|Buffer} text
+     * @returns {InteractiveProcess}
+     */
+    send(text) {
+        this._stdin.write(text);
+        return this;
+    }
+
+    /**
+     * Close the stdin of the process.
+     * @returns {InteractiveProcess}
+     */
+    end() {
+        this._stdin.end();
+        return this;
+    }
+
+    /**
+     * Wait for the process to exit.
+     * @returns {Promise.<integer>} Exit code
+     */
+    wait_() {
+        return this.exited;
+    }
+
+    _receive(text) {
+        if (text === '') return;
+
+        this.transcript += text;
+        this._waiters = this._waiters.filter(waiter => !this._tryMatch(waiter));
+    }
+
+    _tryMatch(waiter) {
+        let unmatched = this.transcript.substr(this._cursor);
+        let match;
+
+        if (typeof waiter.pattern === 'string') {
+            let index = unmatched.indexOf(waiter.pattern);
+            if (index !== -1) {
+                match = [ waiter.pattern ];
+                match.index = index;
+            }
+        } else {
+            match = unmatched.match(waiter.pattern);
+        }
+
+        if (!match) return false;
+
+        this._cursor += match.index + match[0].length;
+        clearTimeout(waiter.timer);
+        waiter.resolve(match);
+
+        return true;
+    }
+
+    _rejectAll(makeError) {
+        let waiters = this._waiters;
+        this._waiters = [];
+
+        waiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(makeError(waiter));
+        });
+    }
+}
+
+module.exports = InteractiveProcess;
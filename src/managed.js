@@ -0,0 +1,237 @@
+"use strict";
+
+const EventEmitter = require('events');
+const net = require('net');
+const _ = require('lodash');
+const { CommandError, CommandCancelledError, TimeoutError } = require('./errors');
+
+/**
+ * Check whether a tcp port accepts connections.
+ * @private
+ * @param {integer} port
+ * @param {string} host
+ * @returns {Promise.<boolean>}
+ */
+function isPortOpen_(port, host) {
+    return new Promise(resolve => {
+        let socket = net.connect(port, host);
+
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve(true);
+        });
+
+        socket.once('error', () => {
+            socket.destroy();
+            resolve(false);
+        });
+    });
+}
+
+/**
+ * Background process managed by a handle, started by runCmdLive_ with readiness probes.
+ * Emits "line" (line, stream), "ready" and "exit" (code, error) events.
+ * @class
+ * @alias module:Utilities.ManagedProcess
+ */
+class ManagedProcess extends EventEmitter {
+    /**
+     * @param {string} cmd - Command to execute
+     * @param {Array} [args] - Arguments list
+     * @param {object} [options] - Options passed to runCmdLive_
+     * @property {RegExp|object|Function} [options.readyWhen] - A regex to match an output line, { port, host } to be connectable, or an async checker called with the handle
+     * @property {integer} [options.readyTimeout=30000] - Milliseconds to wait for the process to be ready
+     * @property {integer} [options.readyInterval=200] - Milliseconds between two probes of the port or the checker
+     * @property {integer} [options.maxLogLines=1000] - Max number of output lines to keep
+     */
+    constructor(cmd, args, options) {
+        super();
+
+        let { readyWhen, readyTimeout = 30000, readyInterval = 200, maxLogLines = 1000, ...runOptions } = options || {};
+
+        this.cmd = cmd;
+        this.args = args || [];
+        this.readyWhen = readyWhen;
+        this.readyTimeout = readyTimeout;
+        this.readyInterval = readyInterval;
+        this.maxLogLines = maxLogLines;
+        this.runOptions = runOptions;
+
+        /**
+         * Captured output lines, { stream, line, time }.
+         * @member {Array.<Object>}
+         */
+        this.logs = [];
+
+        /**
+         * Whether the process is running.
+         * @member {boolean}
+         */
+        this.running = false;
+
+        /**
+         * Whether the process is ready.
+         * @member {boolean}
+         */
+        this.ready = false;
+
+        /**
+         * Exit code of the last run.
+         * @member {integer}
+         */
+        this.exitCode = undefined;
+
+        /**
+         * Error of the last run if it failed to start.
+         * @member {Error}
+         */
+        this.error = null;
+
+        this.exited = Promise.resolve();
+    }
+
+    /**
+     * Start the process and wait until it is ready.
+     * @returns {Promise.<ManagedProcess>}
+     * @throws {module:Utilities.TimeoutError}
+     * @throws {module:Utilities.CommandError}
+     */
+    async start_() {
+        const U = require('./index');
+
+        if (this.running) {
+            throw new Error(`Process "${this.cmd}" is already running.`);
+        }
+
+        let controller = U.createAbortController();
+
+        this._controller = controller;
+        this.running = true;
+        this.ready = false;
+        this.exitCode = undefined;
+        this.error = null;
+
+        this.exited = U.runCmdLive_(this.cmd, this.args, {
+            ...this.runOptions,
+            signal: controller.signal,
+            onLine: (line, stream) => this._log(line, stream)
+        }).then(code => ({ code }), error => error instanceof CommandCancelledError ? { code: error.code } : { code: null, error }).then(({ code, error }) => {
+            this.running = false;
+            this.ready = false;
+            this.exitCode = code;
+            this.error = error || null;
+            this.emit('exit', code, error);
+        });
+
+        try {
+            await this._waitReady_();
+        } catch (error) {
+            await this.stop_();
+            throw error;
+        }
+
+        this.ready = true;
+        this.emit('ready');
+
+        return this;
+    }
+
+    /**
+     * Stop the process by killing its process group.
+     * @returns {Promise}
+     */
+    async stop_() {
+        if (this.running) {
+            this._controller.abort();
+        }
+
+        return this.exited;
+    }
+
+    /**
+     * Stop the process and then start it again.
+     * @returns {Promise.<ManagedProcess>}
+     */
+    async restart_() {
+        await this.stop_();
+        return this.start_();
+    }
+
+    _log(line, stream) {
+        this.logs.push({ stream, line, time: Date.now() });
+
+        if (this.logs.length > this.maxLogLines) {
+            this.logs.shift();
+        }
+
+        this.emit('line', line, stream);
+    }
+
+    _waitReady_() {
+        const U = require('./index');
+        let readyWhen = this.readyWhen;
+
+        if (!readyWhen) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let timer;
+
+            const onLine = line => {
+                if (readyWhen.test(line)) finish();
+            };
+
+            const onExit = (code, error) => finish(error || new CommandError(`Process "${this.cmd}" exited with code ${code} before being ready.`, {
+                cmd: this.cmd,
+                code,
+                stdout: this.logs.map(log => log.line).join('\n')
+            }));
+
+            const finish = (error) => {
+                if (settled) return;
+
+                settled = true;
+                clearTimeout(timer);
+                this.removeListener('line', onLine);
+                this.removeListener('exit', onExit);
+
+                error ? reject(error) : resolve();
+            };
+
+            timer = setTimeout(() => finish(new TimeoutError(`Process "${this.cmd}" is not ready after ${this.readyTimeout} ms.`, {
+                logs: this.logs
+            })), this.readyTimeout);
+
+            this.on('exit', onExit);
+
+            if (_.isRegExp(readyWhen)) {
+                this.on('line', onLine);
+                return;
+            }
+
+            let probe_ = typeof readyWhen === 'function'
+                ? () => readyWhen(this)
+                : () => isPortOpen_(readyWhen.port, readyWhen.host || '127.0.0.1');
+
+            const poll_ = async () => {
+                while (!settled) {
+                    let ok;
+
+                    try {
+                        ok = await probe_();
+                    } catch (error) {
+                        return finish(error);
+                    }
+
+                    if (ok) return finish();
+
+                    await U.sleep_(this.readyInterval);
+                }
+            };
+
+            poll_();
+        });
+    }
+}
+
+module.exports = ManagedProcess;
@@ -0,0 +1,336 @@
+"use strict";
+
+const _ = require('lodash');
+const { ParseError } = require('./errors');
+
+/**
+ * Split text into lines.
+ * @private
+ * @param {string} text
+ * @returns {Array.<string>}
+ */
+function splitLines(text) {
+    let lines = text.split(/\r?\n/);
+
+    if (lines[lines.length-1] === '') {
+        lines.pop();
+    }
+
+    return lines;
+}
+
+/**
+ * Describe where the offending line is.
+ * @private
+ * @param {integer} lineNumber
+ * @param {string} [cmd]
+ * @returns {string}
+ */
+function locate(lineNumber, cmd) {
+    return `line ${lineNumber}` + (cmd ? ` of the output of "${cmd}"` : '');
+}
+
+/**
+ * Parse a JSON text.
+ * @param {string} text
+ * @param {object} [options]
+ * @property {string} [options.cmd] - The command which produced the text, for error reporting
+ * @returns {*}
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.parseJson
+ */
+function parseJson(text, options) {
+    let cmd = options && options.cmd;
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        let lines = text.split(/\r?\n/);
+        let lineNumber;
+        let matched;
+
+        if ((matched = error.message.match(/line (\d+) column/))) {
+            lineNumber = parseInt(matched[1]);
+        } else if ((matched = error.message.match(/position (\d+)/))) {
+            lineNumber = text.substr(0, parseInt(matched[1])).split(/\r?\n/).length;
+        } else {
+            lineNumber = lines.length;
+        }
+
+        let line = lines[lineNumber-1];
+
+        throw new ParseError(`Invalid JSON at ${locate(lineNumber, cmd)}: ${error.message}`, { cmd, line, lineNumber });
+    }
+}
+
+/**
+ * Parse a JSON line of a newline-delimited JSON text.
+ * @private
+ * @param {string} line
+ * @param {integer} lineNumber
+ * @param {string} [cmd]
+ * @returns {*}
+ * @throws {module:Utilities.ParseError}
+ */
+function parseJsonLine(line, lineNumber, cmd) {
+    try {
+        return JSON.parse(line);
+    } catch (error) {
+        throw new ParseError(`Invalid JSON at ${locate(lineNumber, cmd)}: ${error.message}`, { cmd, line, lineNumber });
+    }
+}
+
+/**
+ * Parse a newline-delimited JSON text, blank lines are skipped.
+ * @param {string} text
+ * @param {object} [options]
+ * @property {string} [options.cmd] - The command which produced the text, for error reporting
+ * @returns {Array}
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.parseNdjson
+ */
+function parseNdjson(text, options) {
+    let cmd = options && options.cmd;
+    let result = [];
+
+    splitLines(text).forEach((line, i) => {
+        if (line.trim() !== '') {
+            result.push(parseJsonLine(line, i + 1, cmd));
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Parse a CSV text, quoted fields may contain delimiters, escaped quotes ("") and line breaks.
+ * @param {string} text
+ * @param {object} [options]
+ * @property {string} [options.delimiter=','] - Field delimiter
+ * @property {boolean} [options.header=true] - Whether the first row is the header, rows are returned as objects if true, otherwise as arrays
+ * @property {string} [options.cmd] - The command which produced the text, for error reporting
+ * @returns {Array}
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.parseCsv
+ */
+function parseCsv(text, options) {
+    let { delimiter = ',', header = true, cmd } = options || {};
+    let rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let lineNumber = 1;
+    let rowLineNumber = 1;
+    let rowLineNumbers = [];
+    let l = text.length;
+
+    const endRow = () => {
+        row.push(field);
+        rows.push(row);
+        rowLineNumbers.push(rowLineNumber);
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < l; i++) {
+        let c = text[i];
+
+        if (quoted) {
+            if (c === '"') {
+                if (text[i+1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                if (c === '\n') lineNumber++;
+                field += c;
+            }
+        } else if (c === '"' && field === '') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || (c === '\r' && text[i+1] === '\n')) {
+            if (c === '\r') i++;
+            endRow();
+            lineNumber++;
+            rowLineNumber = lineNumber;
+        } else {
+            field += c;
+        }
+    }
+
+    if (quoted) {
+        throw new ParseError(`Unterminated quoted field at ${locate(rowLineNumber, cmd)}.`, {
+            cmd,
+            line: splitLines(text)[rowLineNumber-1],
+            lineNumber: rowLineNumber
+        });
+    }
+
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    if (!header) return rows;
+
+    let columns = rows.shift() || [];
+    rowLineNumbers.shift();
+
+    return rows.map((values, i) => {
+        if (values.length !== columns.length) {
+            let lineNumber = rowLineNumbers[i];
+
+            throw new ParseError(`Expected ${columns.length} fields but got ${values.length} at ${locate(lineNumber, cmd)}.`, {
+                cmd,
+                line: splitLines(text)[lineNumber-1],
+                lineNumber
+            });
+        }
+
+        return _.zipObject(columns, values);
+    });
+}
+
+/**
+ * Parse a columnar text with a header line, e.g. the output of "ps" or "docker ps".
+ * By default columns are split at the runs of spaces shared by the header and all the rows, so left or right-aligned values both work,
+ * and a header name of several words separated by single spaces is kept when the words below it have no values of their own.
+ * Columns are split by the separator if given.
+ * @param {string} text
+ * @param {object} [options]
+ * @property {RegExp|string} [options.separator] - Separator of columns, e.g. /\s+/ or '\t'
+ * @property {string} [options.cmd] - The command which produced the text, for error reporting
+ * @returns {Array.<Object>}
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.parseColumns
+ */
+function parseColumns(text, options) {
+    let { separator, cmd } = options || {};
+    let lines = splitLines(text);
+    let headerLine = lines.shift();
+
+    if (_.isNil(headerLine)) return [];
+
+    if (separator) {
+        let columns = headerLine.trim().split(separator);
+
+        return lines.map((line, i) => [ line, i + 2 ]).filter(([ line ]) => line.trim() !== '').map(([ line, lineNumber ]) => {
+            let values = line.trim().split(separator);
+
+            if (values.length > columns.length) {
+                //the last column takes the rest
+                values = values.slice(0, columns.length - 1).concat(values.slice(columns.length - 1).join(typeof separator === 'string' ? separator : ' '));
+            }
+
+            if (values.length !== columns.length) {
+                throw new ParseError(`Expected ${columns.length} columns but got ${values.length} at ${locate(lineNumber, cmd)}.`, {
+                    cmd,
+                    line,
+                    lineNumber
+                });
+            }
+
+            return _.zipObject(columns, values);
+        });
+    }
+
+    let rows = lines.filter(line => line.trim() !== '');
+    let words = [];
+    let matcher = /\S+/g;
+    let matched;
+
+    while ((matched = matcher.exec(headerLine)) !== null) {
+        words.push({ name: matched[0], start: matched.index, end: matched.index + matched[0].length });
+    }
+
+    if (words.length === 0) return [];
+
+    //a position is a gap if it is blank in all the lines
+    const isGap = pos => rows.every(line => pos >= line.length || /\s/.test(line[pos]));
+    const slice = (line, from, to) => line.substring(from, to).trim();
+
+    //columns are split at the last gap before every header word, which also works for right-aligned values
+    let columns = [ { ...words[0], from: 0 } ];
+
+    words.slice(1).forEach(word => {
+        let last = columns[columns.length - 1];
+        let cut = _.findLast(_.range(last.end, word.start), isGap);
+
+        if (_.isNil(cut)) {
+            last.name = headerLine.substring(last.start, word.end);
+            last.end = word.end;
+        } else {
+            columns.push({ ...word, from: cut });
+        }
+    });
+
+    //a name of several words, e.g. "CONTAINER ID", has a gap below its single space but no values of its own
+    columns = columns.reduce((result, column) => {
+        let last = _.last(result);
+        let next = columns[columns.indexOf(column) + 1];
+        let to = next ? next.from : Infinity;
+
+        if (last && column.start - last.end === 1 && rows.every(line => slice(line, column.from, to) === '')) {
+            last.name = headerLine.substring(last.start, column.end);
+            last.end = column.end;
+        } else {
+            result.push({ ...column });
+        }
+
+        return result;
+    }, []);
+
+    return rows.map(line => _.fromPairs(columns.map(({ name, from }, i) => [ name, slice(line, from, i < columns.length - 1 ? columns[i+1].from : line.length) ])));
+}
+
+/**
+ * Parse a text of "key=value" lines, blank lines and lines starting with "#" are skipped.
+ * @param {string} text
+ * @param {object} [options]
+ * @property {string} [options.separator='='] - Separator between key and value
+ * @property {string} [options.cmd] - The command which produced the text, for error reporting
+ * @returns {object}
+ * @throws {module:Utilities.ParseError}
+ * @alias module:Utilities.parseKeyValue
+ */
+function parseKeyValue(text, options) {
+    let { separator = '=', cmd } = options || {};
+    let result = {};
+
+    splitLines(text).forEach((line, i) => {
+        let trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+
+        let pos = trimmed.indexOf(separator);
+
+        if (pos <= 0) {
+            throw new ParseError(`Expected "key${separator}value" at ${locate(i + 1, cmd)}.`, {
+                cmd,
+                line,
+                lineNumber: i + 1
+            });
+        }
+
+        let value = trimmed.substr(pos + separator.length).trim();
+
+        if (value.length > 1 && (value[0] === '"' || value[0] === "'") && value[0] === value[value.length-1]) {
+            value = value.slice(1, -1);
+        }
+
+        result[trimmed.substr(0, pos).trim()] = value;
+    });
+
+    return result;
+}
+
+module.exports = {
+    parseJson,
+    parseJsonLine,
+    parseNdjson,
+    parseCsv,
+    parseColumns,
+    parseKeyValue
+};
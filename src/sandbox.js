@@ -0,0 +1,582 @@
+"use strict";
+
+const vm = require('vm');
+const path = require('path');
+const fs = require('fs');
+const Module = require('module');
+const util = require('util');
+const { TextEncoder, TextDecoder } = util;
+const _ = require('lodash');
+const { TimeoutError, AccessDeniedError } = require('./errors');
+
+/**
+ * Globals available in a sandbox by default.
+ * @private
+ */
+const defaultGlobals = {
+    console,
+    process,
+    Buffer,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    setImmediate,
+    clearImmediate
+};
+
+//console methods of a sandbox with a policy
+const consoleMethods = [ 'log', 'info', 'warn', 'error', 'debug' ];
+
+/**
+ * Code run in a sandbox with a policy before any script, to build its globals and module wrappers inside the sandbox.
+ * The functions of the host are only kept in closures, so a script cannot reach the host realm through the constructors
+ * of its globals, and values of the host returned or thrown to a script are copied.
+ * @private
+ */
+const bootstrapCode = `(function (host) {
+    'use strict';
+
+    var global = this;
+    var SandboxError = Error;
+    var SandboxObject = Object;
+    var parseJson = JSON.parse;
+    var reflectApply = Reflect.apply;
+    var slice = Array.prototype.slice;
+    var hasInstance = Function.prototype[Symbol.hasInstance];
+
+    function isSandboxValue(value) {
+        return SandboxObject(value) !== value || reflectApply(hasInstance, SandboxObject, [ value ]);
+    }
+
+    function copyError(error) {
+        var copy = new SandboxError(String(error.message));
+        copy.name = String(error.name);
+        if (error.code !== undefined) copy.code = String(error.code);
+        host.link(copy, error);
+        return copy;
+    }
+
+    function wrap(fn) {
+        return function () {
+            try {
+                return fn.apply(undefined, arguments);
+            } catch (error) {
+                throw isSandboxValue(error) ? error : copyError(error);
+            }
+        };
+    }
+
+    function deferred(start, argsFrom) {
+        start = wrap(start);
+
+        return function (callback) {
+            var args = reflectApply(slice, arguments, [ argsFrom ]);
+            return start(function () { reflectApply(callback, undefined, args); }, arguments[1]);
+        };
+    }
+
+    var hrtime = wrap(host.hrtime);
+
+    var globals = {
+        console: {},
+        process: {
+            env: parseJson(host.env),
+            platform: host.platform,
+            arch: host.arch,
+            version: host.version,
+            versions: parseJson(host.versions),
+            nextTick: deferred(host.nextTick, 1),
+            hrtime: function (time) {
+                var result = hrtime(time);
+                return [ result[0], result[1] ];
+            }
+        },
+        setTimeout: deferred(host.setTimeout, 2),
+        setInterval: deferred(host.setInterval, 2),
+        setImmediate: deferred(host.setImmediate, 1),
+        clearTimeout: wrap(host.clearTimer),
+        clearInterval: wrap(host.clearTimer),
+        clearImmediate: wrap(host.clearTimer)
+    };
+
+    host.consoleMethods.split(',').forEach(function (method) {
+        globals.console[method] = wrap(host.console[method]);
+    });
+
+    if (host.globals) {
+        SandboxObject.keys(globals).forEach(function (name) {
+            global[name] = globals[name];
+        });
+    }
+
+    return {
+        parseJson: function (text) {
+            return parseJson(text);
+        },
+
+        settle: function (promise, onValue, onError) {
+            promise.then(function (value) { onValue(value); }, function (error) { onError(error); });
+        },
+
+        createEntry: function (filename, dirname, require, resolve) {
+            var localRequire = wrap(require);
+            localRequire.resolve = wrap(resolve);
+
+            return {
+                module: { id: filename, filename: filename, exports: {}, loaded: false },
+                require: localRequire,
+                filename: filename,
+                dirname: dirname
+            };
+        }
+    };
+})`;
+
+/**
+ * Create the timer functions of a sandbox with a policy, timers are identified by numbers instead of the Timeout objects of the host.
+ * @private
+ * @returns {object}
+ */
+function createTimers() {
+    let handles = {};
+    let lastId = 0;
+
+    const start = (set, clear, repeat) => (callback, delay) => {
+        let id = ++lastId;
+
+        handles[id] = {
+            clear,
+            handle: set(() => {
+                repeat || delete handles[id];
+                callback();
+            }, delay)
+        };
+
+        return id;
+    };
+
+    return {
+        setTimeout: start(setTimeout, clearTimeout, false),
+        setInterval: start(setInterval, clearInterval, true),
+        setImmediate: start(callback => setImmediate(callback), clearImmediate, false),
+        clearTimer: id => {
+            let timer = handles[id];
+
+            if (timer) {
+                delete handles[id];
+                timer.clear(timer.handle);
+            }
+        }
+    };
+}
+
+//read-only members of the fs module, see readOnlyFs
+const fsReadMembers = [
+    'constants', 'Stats', 'Dirent',
+    'access', 'accessSync', 'exists', 'existsSync',
+    'stat', 'statSync', 'lstat', 'lstatSync', 'fstat', 'fstatSync',
+    'readFile', 'readFileSync', 'readdir', 'readdirSync', 'readlink', 'readlinkSync',
+    'realpath', 'realpathSync', 'createReadStream'
+];
+
+//read-only members of fs.promises
+const fsPromisesReadMembers = [ 'access', 'stat', 'lstat', 'readFile', 'readdir', 'readlink', 'realpath' ];
+
+//extensions of local files executed inside the sandbox
+const sandboxedExtensions = [ '.js', '.json' ];
+
+let entryId = 0;
+
+//createRequire is added in node 12.2
+const createRequire = Module.createRequire || Module.createRequireFromPath;
+
+/**
+ * Whether a module specifier refers to a file rather than a package.
+ * @private
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+function isPathSpecifier(specifier) {
+    return specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..' || path.isAbsolute(specifier);
+}
+
+/**
+ * Marker of a module created by a factory when it is required for the first time.
+ * @private
+ */
+class LazyModule {
+    constructor(factory) {
+        this.factory = factory;
+    }
+}
+
+/**
+ * Normalize the full path of a module for matching, the extension of a js or json file is optional.
+ * @private
+ * @param {string} filename
+ * @returns {string}
+ */
+function normalizeModulePath(filename) {
+    return filename.replace(/\.(js|json)$/, '');
+}
+
+/**
+ * Get the package name of a module specifier, e.g. "lodash" of "lodash/fp" and "@scope/pkg" of "@scope/pkg/sub".
+ * @private
+ * @param {string} specifier
+ * @returns {string}
+ */
+function packageNameOf(specifier) {
+    let parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Create a facade of the fs module with only the members reading the file system.
+ * @param {object} [fsModule=fs] - The fs module or a compatible one, e.g. fs-extra
+ * @returns {object}
+ */
+function readOnlyFs(fsModule) {
+    fsModule = fsModule || fs;
+
+    let facade = _.pick(fsModule, fsReadMembers.filter(name => name in fsModule));
+
+    if (fsModule.promises) {
+        facade.promises = _.pick(fsModule.promises, fsPromisesReadMembers);
+    }
+
+    return facade;
+}
+
+/**
+ * Wait for a thenable to settle within the timeout.
+ * @private
+ * @param {Promise} promise
+ * @param {integer} timeout
+ * @param {string} file
+ * @returns {Promise}
+ */
+function settleInTime_(promise, timeout, file) {
+    if (!timeout) return Promise.resolve(promise);
+
+    return new Promise((resolve, reject) => {
+        let timer = setTimeout(() => reject(new TimeoutError(`Exports of "${file}" are not resolved after ${timeout} ms.`, { file, timeout })), timeout);
+
+        Promise.resolve(promise).then(value => {
+            clearTimeout(timer);
+            resolve(value);
+        }, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * A fresh vm context to execute CommonJS files in, used by load_.
+ * Local .js and .json files required by a sandboxed file are executed in the same sandbox,
+ * packages and built-in modules are loaded by the real require.
+ * @class
+ * @private
+ */
+class Sandbox {
+    /**
+     * @param {object} [options]
+     * @property {object} [options.variables] - Variables as globals
+     * @property {object} [options.deps] - Virtual modules, map of module specifier to the module object or a lazyModule() to be returned by require.
+     * Path-like specifiers are relative to the directory of the loaded file.
+     * @property {object} [options.globals] - Default globals, console, process, Buffer, timers, etc. if omitted
+     * @property {integer} [options.timeout] - Milliseconds allowed for executing the files and for resolving thenable exports
+     * @property {object} [options.policy] - Policy of the modules allowed to be required, the default globals are then built inside the sandbox
+     * @property {object} [options.policy.modules] - Map of allowed built-in or package names to true, a facade object, or a function creating the facade from the real module
+     * @property {object} [options.policy.logger] - Logger with a log(level, message, info) method to log every attempt to require a module
+     * @property {Array.<string>} [options.policy.env] - Names of the environment variables in process.env of the sandbox, none by default
+     */
+    constructor(options) {
+        let { variables, deps, globals, timeout, policy } = options || {};
+
+        this.deps = deps || {};
+        this.timeout = timeout;
+        this.policy = policy ? { modules: {}, ...policy } : null;
+
+        /**
+         * Modules executed in the sandbox, keyed by the full path.
+         * @member {Object}
+         */
+        this.modules = {};
+
+        /**
+         * Full paths of the local files executed in the sandbox, including the ones failed to load.
+         * @member {Array.<string>}
+         */
+        this.files = [];
+
+        //with a policy, the default globals are built inside the sandbox by the bootstrap
+        this.context = vm.createContext({ ...(globals || (policy ? {} : defaultGlobals)), ...variables });
+        vm.runInContext('var global = this;', this.context);
+
+        let [ objectPrototype, arrayPrototype ] = Array.from(vm.runInContext('[ Object.prototype, Array.prototype ]', this.context));
+        this._prototypes = { object: objectPrototype, array: arrayPrototype };
+
+        this._hostErrors = new WeakMap();
+        this._bootstrap = policy ? vm.runInContext(bootstrapCode, this.context).call(this.context, this._createHost(!globals)) : null;
+
+        this._depth = 0;
+        this._facades = {};
+        this._lazyExports = {};
+        this._virtualPaths = null;
+    }
+
+    /**
+     * Load a file in the sandbox and resolve its exports, thenable exports are awaited.
+     * @param {string} file
+     * @returns {Promise.<*>}
+     * @throws {module:Utilities.TimeoutError}
+     */
+    async import_(file) {
+        let filename = path.resolve(file);
+
+        this._mapVirtualPaths(path.dirname(filename));
+
+        let exports = this._execute(require.resolve(filename));
+
+        if (exports && typeof exports.then === 'function') {
+            //with a policy, the thenable is settled inside the sandbox without handing the resolving functions of the host to it
+            let settled = this._bootstrap
+                ? new Promise((resolve, reject) => this._bootstrap.settle(exports, resolve, error => reject(this._hostError(error))))
+                : exports;
+
+            return settleInTime_(settled, this.timeout, file).then(value => this._toHost(value));
+        }
+
+        return this._toHost(exports);
+    }
+
+    /**
+     * Require a module on behalf of a sandboxed file.
+     * @param {string} specifier - Module specifier
+     * @param {string} parent - Full path of the requiring file
+     * @returns {*}
+     */
+    require(specifier, parent) {
+        let virtualName = this._resolveVirtual(specifier, parent);
+
+        if (!_.isNil(virtualName)) {
+            return this._requireVirtual(virtualName, parent);
+        }
+
+        if (isPathSpecifier(specifier)) {
+            let filename = createRequire(parent).resolve(specifier);
+
+            if (sandboxedExtensions.indexOf(path.extname(filename)) !== -1) {
+                return this._execute(filename);
+            }
+
+            if (this.policy) {
+                this._deny(specifier, parent, `File "${filename}" cannot be loaded in the sandbox`);
+            }
+
+            return require(filename);
+        }
+
+        if (this.policy) {
+            return this._requireByPolicy(specifier, parent);
+        }
+
+        return createRequire(parent)(specifier);
+    }
+
+    _mapVirtualPaths(rootDir) {
+        this._virtualPaths = {};
+
+        _.forOwn(this.deps, (value, name) => {
+            if (isPathSpecifier(name)) {
+                this._virtualPaths[normalizeModulePath(path.resolve(rootDir, name))] = name;
+            }
+        });
+    }
+
+    _resolveVirtual(specifier, parent) {
+        //path-like specifiers are matched by the resolved path, "./config" of a sub directory is another module
+        if (!isPathSpecifier(specifier)) {
+            return _.has(this.deps, specifier) ? specifier : undefined;
+        }
+
+        if (this._virtualPaths) {
+            return this._virtualPaths[normalizeModulePath(path.resolve(path.dirname(parent), specifier))];
+        }
+
+        return undefined;
+    }
+
+    _requireVirtual(name, parent) {
+        let value = this.deps[name];
+
+        if (!(value instanceof LazyModule)) return value;
+
+        if (!_.has(this._lazyExports, name)) {
+            this._lazyExports[name] = value.factory(name, parent);
+        }
+
+        return this._lazyExports[name];
+    }
+
+    _requireByPolicy(specifier, parent) {
+        let name = specifier.startsWith('node:') ? specifier.substr(5) : specifier;
+        let modules = this.policy.modules;
+        let rule;
+
+        if (_.has(modules, name)) {
+            rule = modules[name];
+        } else if (modules[packageNameOf(name)] === true) {
+            //sub paths are allowed only if the whole package is allowed
+            rule = true;
+        }
+
+        if (!rule) {
+            this._deny(specifier, parent, `Module "${specifier}" is not allowed by the policy of the sandbox`);
+        }
+
+        this._log('info', `Module "${specifier}" is required by "${parent}" in the sandbox.`, { module: specifier, file: parent });
+
+        if (rule === true) {
+            return createRequire(parent)(specifier);
+        }
+
+        if (typeof rule !== 'function') {
+            return rule;
+        }
+
+        if (!_.has(this._facades, name)) {
+            this._facades[name] = rule(createRequire(parent)(specifier));
+        }
+
+        return this._facades[name];
+    }
+
+    _createHost(withGlobals) {
+        let env = _.pick(process.env, this.policy.env || []);
+
+        return {
+            globals: withGlobals,
+            link: (copy, error) => this._hostErrors.set(copy, error),
+            consoleMethods: consoleMethods.join(','),
+            //custom inspection functions of the sandboxed objects would be called with the functions of the host
+            console: _.fromPairs(consoleMethods.map(method => [ method, (...args) => console[method](util.formatWithOptions({ customInspect: false }, ...args)) ])),
+            env: JSON.stringify(env),
+            platform: process.platform,
+            arch: process.arch,
+            version: process.version,
+            versions: JSON.stringify(process.versions),
+            nextTick: callback => process.nextTick(callback),
+            hrtime: time => process.hrtime(time),
+            ...createTimers()
+        };
+    }
+
+    /**
+     * Copy the plain objects and arrays created in the sandbox into the realm of the caller, recursively,
+     * to be instances of its Object and Array, functions and other objects are kept as they are.
+     * @param {*} value
+     * @param {Map} [copies] - Copies of the visited objects, for shared and circular references
+     * @returns {*}
+     */
+    _toHost(value, copies = new Map()) {
+        if (!_.isObjectLike(value)) return value;
+
+        let prototype = Object.getPrototypeOf(value);
+        if (prototype !== this._prototypes.object && prototype !== this._prototypes.array) return value;
+
+        if (copies.has(value)) return copies.get(value);
+
+        let copy = prototype === this._prototypes.array ? [] : {};
+        copies.set(value, copy);
+
+        Object.keys(value).forEach(key => {
+            copy[key] = this._toHost(value[key], copies);
+        });
+
+        return copy;
+    }
+
+    _hostError(error) {
+        return this._hostErrors.get(error) || error;
+    }
+
+    _deny(specifier, parent, reason) {
+        let message = `${reason}, required by "${parent}".`;
+
+        this._log('warn', message, { module: specifier, file: parent });
+        throw new AccessDeniedError(message, { module: specifier, file: parent });
+    }
+
+    _log(level, message, info) {
+        let logger = this.policy.logger;
+        logger && logger.log(level, message, info);
+    }
+
+    _execute(filename) {
+        let cached = this.modules[filename];
+        if (cached) return cached.exports;
+
+        let dirname = path.dirname(filename);
+        let isJson = path.extname(filename) === '.json';
+        let sandboxRequire = specifier => this.require(specifier, filename);
+        let sandboxResolve = specifier => createRequire(filename).resolve(specifier);
+
+        //with a policy, the objects handed to the script are created inside the sandbox
+        let entryValue = this._bootstrap && !isJson
+            ? this._bootstrap.createEntry(filename, dirname, sandboxRequire, sandboxResolve)
+            : { module: { id: filename, filename, exports: {}, loaded: false }, require: Object.assign(sandboxRequire, { resolve: sandboxResolve }), filename, dirname };
+        let module = entryValue.module;
+
+        this.modules[filename] = module;
+        this.files.indexOf(filename) === -1 && this.files.push(filename);
+
+        let code = fs.readFileSync(filename, 'utf8');
+
+        if (isJson) {
+            module.exports = this._bootstrap ? this._bootstrap.parseJson(code) : JSON.parse(code);
+            module.loaded = true;
+            return module.exports;
+        }
+
+        let entry = `__sandbox_entry_${++entryId}__`;
+
+        this.context[entry] = entryValue;
+
+        //the wrapper is kept on the first line to keep the line numbers of the source
+        let script = new vm.Script(`(function (exports, require, module, __filename, __dirname) {${code}\n}).call(${entry}.module.exports, ${entry}.module.exports, ${entry}.require, ${entry}.module, ${entry}.filename, ${entry}.dirname);`, { filename });
+
+        try {
+            //nested files are covered by the timeout of the outermost one
+            this._depth++;
+            script.runInContext(this.context, this._depth === 1 && this.timeout ? { timeout: this.timeout } : {});
+        } catch (error) {
+            delete this.modules[filename];
+
+            //the error has no code before node 11
+            if (error && (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || (!error.code && /^Script execution timed out/.test(error.message)))) {
+                throw new TimeoutError(`Executing "${filename}" timed out after ${this.timeout} ms.`, { file: filename, timeout: this.timeout });
+            }
+
+            throw this._hostError(error);
+        } finally {
+            this._depth--;
+            delete this.context[entry];
+        }
+
+        module.loaded = true;
+        return module.exports;
+    }
+}
+
+Sandbox.readOnlyFs = readOnlyFs;
+Sandbox.lazyModule = factory => new LazyModule(factory);
+
+module.exports = Sandbox;
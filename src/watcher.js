@@ -0,0 +1,170 @@
+"use strict";
+
+const EventEmitter = require('events');
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const Sandbox = require('./sandbox');
+
+/**
+ * Module loaded by load_ and reloaded when the file or the local files it requires change.
+ * Emits "reloaded" (exports) after a successful reload and "error" (error) after a failed one,
+ * in which case the exports of the last good load are kept.
+ * @class
+ * @alias module:Utilities.ModuleWatcher
+ */
+class ModuleWatcher extends EventEmitter {
+    /**
+     * @param {string} file - Source file
+     * @param {object} [variables] - Variables as global
+     * @param {object} [deps] - Virtual modules, see load_
+     * @param {object} [options] - Options passed to load_
+     * @property {integer} [options.debounce=100] - Milliseconds to wait for a burst of changes to settle before reloading
+     */
+    constructor(file, variables, deps, options) {
+        super();
+
+        let { debounce = 100, ...loadOptions } = options || {};
+
+        this.file = path.resolve(file);
+        this.variables = variables;
+        this.deps = deps;
+        this.debounce = debounce;
+        this.loadOptions = loadOptions;
+
+        /**
+         * Exports of the last good load.
+         * @member {*}
+         */
+        this.exports = undefined;
+
+        /**
+         * Local files being watched.
+         * @member {Array.<string>}
+         */
+        this.files = [];
+
+        /**
+         * Error of the last reload if it failed.
+         * @member {Error}
+         */
+        this.error = null;
+
+        this._watchers = [];
+        this._timer = null;
+        this._loading = null;
+        this._pending = false;
+        this._closed = false;
+    }
+
+    /**
+     * Load the file for the first time and start watching.
+     * @returns {Promise.<ModuleWatcher>}
+     */
+    async start_() {
+        let sandbox = this._createSandbox();
+
+        this.exports = await sandbox.import_(this.file);
+        this._watch(sandbox.files);
+
+        return this;
+    }
+
+    /**
+     * Reload the file now, concurrent calls are queued into one more reload.
+     * @returns {Promise.<boolean>} Whether the reload succeeded
+     */
+    async reload_() {
+        if (this._loading) {
+            this._pending = true;
+            return this._loading;
+        }
+
+        this._loading = this._reload_();
+
+        try {
+            return await this._loading;
+        } finally {
+            this._loading = null;
+
+            if (this._pending && !this._closed) {
+                this._pending = false;
+                this.reload_();
+            }
+        }
+    }
+
+    /**
+     * Stop watching.
+     */
+    close() {
+        this._closed = true;
+        clearTimeout(this._timer);
+        this._unwatch();
+    }
+
+    async _reload_() {
+        let sandbox = this._createSandbox();
+
+        try {
+            let exports = await sandbox.import_(this.file);
+
+            if (this._closed) return false;
+
+            this.exports = exports;
+            this.error = null;
+            this._watch(sandbox.files);
+            this.emit('reloaded', exports);
+
+            return true;
+        } catch (error) {
+            if (this._closed) return false;
+
+            //keeps watching the files of the last good load as well to pick up the fix
+            this.error = error;
+            this._watch(_.union(sandbox.files, this.files));
+
+            //an "error" event without listeners would crash the process
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            }
+
+            return false;
+        }
+    }
+
+    _createSandbox() {
+        return new Sandbox({ ...this.loadOptions, variables: this.variables, deps: this.deps });
+    }
+
+    _watch(files) {
+        this._unwatch();
+
+        if (this._closed) return;
+
+        this.files = _.union([ this.file ], files);
+
+        //watchers are recreated after every load since editors may replace a file instead of writing to it
+        this.files.forEach(file => {
+            try {
+                let watcher = fs.watch(file, () => this._schedule());
+                watcher.on('error', () => {});
+                this._watchers.push(watcher);
+            } catch (error) {
+                //the file is removed, it is watched again after the next load
+            }
+        });
+    }
+
+    _unwatch() {
+        this._watchers.forEach(watcher => watcher.close());
+        this._watchers = [];
+    }
+
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.reload_(), this.debounce);
+    }
+}
+
+module.exports = ModuleWatcher;
@@ -46,6 +46,45 @@ describe('bvt', function () {
             return Util.runCmd_('fdfsfasfds').should.be.rejected();
         });
 
+        it('run a command with options', async function () {
+            let { stdout } = await Util.runCmd_('pwd && echo $GREETING', { cwd: __dirname, env: { GREETING: 'hello' } });
+            stdout.should.be.equal(__dirname + '\nhello\n');
+        });
+
+        it('run a command with too much output', function () {
+            return Util.runCmd_('head -c 2000 /dev/zero', { maxBuffer: 1000 }).should.be.rejectedWith({ code: 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' });
+        });
+
+        it('run a compound command with endless output', function () {
+            this.timeout(5000);
+            return Util.runCmd_('yes; true', { maxBuffer: 1000 }).should.be.rejectedWith({ code: 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER' });
+        });
+
+        it('run a failed command with details', async function () {
+            try {
+                await Util.runCmd_('echo out && echo err 1>&2 && exit 3');
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.CommandError);
+                error.cmd.should.be.equal('echo out && echo err 1>&2 && exit 3');
+                error.code.should.be.exactly(3);
+                error.stdout.should.be.equal('out\n');
+                error.stderr.should.be.equal('err\n');
+                error.duration.should.be.a.Number();
+            }
+        });
+
+        it('run a failed command synchronously with details', function () {
+            try {
+                Util.runCmdSync('echo out && exit 2', { stdio: 'pipe' });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.CommandError);
+                error.code.should.be.exactly(2);
+                error.stdout.should.be.equal('out\n');
+            }
+        });
+
         it('run a command synchronously', function () {
             let result = Util.runCmdSync('pwd');
             result.should.endWith('k-utils\n');
@@ -66,11 +105,330 @@ describe('bvt', function () {
             }).catch(err => done(err));
         });
 
+        it('run a command lively by lines', async function () {
+            let lines = [];
+
+            let code = await Util.runCmdLive_('sh', [ '-c', 'printf "a\\nb"; sleep 0.1; printf "c\\nd"; sleep 0.1; echo err 1>&2' ], {
+                onLine: (line, stream) => lines.push(stream + ':' + line)
+            });
+
+            code.should.be.exactly(0);
+            lines.should.be.eql([ 'stdout:a', 'stdout:bc', 'stderr:err', 'stdout:d' ]);
+        });
+
+        it('iterate output lines of a command', async function () {
+            let records = [];
+            let lines = Util.runCmdLines('sh', [ '-c', 'echo line1; echo line2; exit 5' ]);
+
+            for await (const record of lines) {
+                records.push(record);
+            }
+
+            records.should.be.eql([ { stream: 'stdout', line: 'line1' }, { stream: 'stdout', line: 'line2' } ]);
+            (await lines.exited).should.be.exactly(5);
+        });
+
+        it('stop iterating output lines of a command', async function () {
+            let lines = Util.runCmdLines('sh', [ '-c', 'while true; do echo tick; sleep 0.05; done' ]);
+
+            for await (const { line } of lines) {
+                line.should.be.equal('tick');
+                break;
+            }
+
+            should.not.exist(await lines.exited);
+        });
+
+        it('feed input to commands', async function () {
+            let { stdout } = await Util.runCmd_('tr a-z A-Z', { input: 'hello' });
+            stdout.should.be.equal('HELLO');
+
+            Util.runCmdSync('wc -c', { input: Buffer.from('12345') }).trim().should.be.equal('5');
+
+            let output = '';
+            let input = require('stream').Readable.from([ 'line1\n', 'line2\n' ]);
+            let code = await Util.runCmdLive_('cat', [], { input, onStdOut: o => { output += o.toString(); } });
+            code.should.be.exactly(0);
+            output.should.be.equal('line1\nline2\n');
+        });
+
+        it('run a pipeline', async function () {
+            let result = await Util.runPipeline_([
+                [ 'printf', [ 'fix a\\nfeat b\\nfix c\\n' ] ],
+                [ 'grep', [ 'fix' ] ],
+                [ 'wc', [ '-l' ] ]
+            ]);
+
+            result.stdout.trim().should.be.equal('2');
+            result.stages.map(s => s.code).should.be.eql([ 0, 0, 0 ]);
+        });
+
+        it('run a pipeline with a failed stage', async function () {
+            try {
+                await Util.runPipeline_([
+                    [ 'sh', [ '-c', 'echo oops 1>&2; exit 4' ] ],
+                    [ 'sleep', [ '5' ] ]
+                ]);
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.CommandError);
+                error.code.should.be.exactly(4);
+                error.stderr.should.be.equal('oops\n');
+                error.stages[1].signal.should.be.equal('SIGTERM');
+                error.duration.should.be.below(5000);
+            }
+        });
+
+        it('run a pipeline with a missing command', function () {
+            return Util.runPipeline_([ [ 'echo', [ 'a' ] ], [ 'fkdsfjsl', [] ] ]).should.be.rejectedWith(Util.CommandError);
+        });
+
+        it('run a pipeline with a stage exiting early', async function () {
+            this.timeout(5000);
+
+            let result = await Util.runPipeline_([ [ 'yes', [] ], [ 'head', [ '-1' ] ] ]);
+
+            result.stdout.should.be.equal('y\n');
+            result.code.should.be.exactly(0);
+            result.stages[1].code.should.be.exactly(0);
+        });
+
+        it('run an empty pipeline', function () {
+            return Util.runPipeline_([]).should.be.rejectedWith(/at least one stage/);
+        });
+
+        it('run a queue of commands', async function () {
+            let startedAt = Date.now();
+            let results = await Util.runCmdQueue_([ 'sleep 0.3; echo 1', 'echo 2', { cmd: 'sleep 0.3; echo $N', options: { env: { N: '3' } } }, 'exit 1' ], { concurrency: 2 });
+
+            (Date.now() - startedAt).should.be.below(550);
+            results.map(r => r.ok).should.be.eql([ true, true, true, false ]);
+            results.map(r => r.stdout).should.be.eql([ '1\n', '2\n', '3\n', '' ]);
+            results[3].code.should.be.exactly(1);
+            results[3].error.should.be.instanceOf(Util.CommandError);
+        });
+
+        it('run a queue of commands with retries and fail fast', async function () {
+            let marker = path.resolve(__dirname, 'temp/retry-marker');
+            await Util.fs.ensureDir(path.dirname(marker));
+            await Util.fs.remove(marker);
+
+            let results = await Util.runCmdQueue_([ Util.cmd`test -e ${marker} || (touch ${marker}; exit 1)` ], { retries: 1 });
+            results[0].ok.should.be.ok();
+            results[0].attempts.should.be.exactly(2);
+            await Util.fs.remove(marker);
+
+            await Util.runCmdQueue_([ 'exit 2', 'echo never' ], { concurrency: 1, failFast: true }).should.be.rejectedWith({ code: 2 });
+        });
+
+        it('kill the process tree of a command on timeout', async function () {
+            let pidFile = path.resolve(__dirname, 'temp/grandchild.pid');
+            await Util.fs.ensureDir(path.dirname(pidFile));
+
+            try {
+                await Util.runCmd_(Util.cmd`sleep 30 & echo $! > ${pidFile}; wait`, { timeout: 300 });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.CommandTimeoutError);
+                error.should.be.instanceOf(Util.CommandError);
+                error.duration.should.be.below(3000);
+            }
+
+            let pid = parseInt(await Util.fs.readFile(pidFile, 'utf8'));
+            await Util.sleep_(100);
+
+            //killed but maybe not yet reaped
+            let { stdout } = await Util.runCmd_(Util.cmd`ps -o stat= -p ${pid} || true`);
+            stdout.trim().should.match(/^(Z.*)?$/);
+        });
+
+        it('cancel a live command and escalate to SIGKILL', async function () {
+            let controller = new AbortController();
+            setTimeout(() => controller.abort(), 200);
+
+            let startedAt = Date.now();
+
+            try {
+                await Util.runCmdLive_('sh', [ '-c', 'trap "" TERM; sleep 30' ], { signal: controller.signal, killGracePeriod: 300 });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.CommandCancelledError);
+                error.signal.should.be.equal('SIGKILL');
+                (Date.now() - startedAt).should.be.within(450, 3000);
+            }
+        });
+
+        it('drive an interactive command', async function () {
+            let proc = Util.interact('sh', [ '-c', 'printf "Continue? [y/N] "; read answer; echo "answer=$answer"; printf "Name: "; read name; echo "hi $name"' ]);
+
+            await proc.expect(/Continue\? \[y\/N\]/);
+            proc.send('y\n');
+
+            let match = await proc.expect(/answer=(\w+)/);
+            match[1].should.be.equal('y');
+
+            await proc.expect('Name:');
+            proc.send('bob\n');
+            await proc.expect('hi bob');
+
+            (await proc.wait_()).should.be.exactly(0);
+            proc.transcript.should.be.equal('Continue? [y/N] answer=y\nName: hi bob\n');
+        });
+
+        it('expect an interactive command with timeout', async function () {
+            let proc = Util.interact('sh', [ '-c', 'printf "Password: "; read pwd' ], { expectTimeout: 200 });
+
+            await proc.expect('Login:').should.be.rejectedWith(Util.TimeoutError);
+            proc.end();
+
+            //read fails on end of input
+            await proc.expect('Login:').should.be.rejectedWith(Util.CommandError);
+            (await proc.wait_()).should.be.exactly(1);
+        });
+
+        it('start a background process ready by output', async function () {
+            let proc = await Util.startProcess_('sh', [ '-c', 'echo starting; sleep 0.2; echo listening; sleep 30' ], { readyWhen: /listening/ });
+            let exits = [];
+            proc.on('exit', code => exits.push(code));
+
+            proc.ready.should.be.ok();
+            proc.logs.map(log => log.line).should.be.eql([ 'starting', 'listening' ]);
+
+            await proc.restart_();
+            proc.running.should.be.ok();
+            proc.logs.length.should.be.exactly(4);
+
+            await proc.stop_();
+            proc.running.should.not.be.ok();
+            exits.length.should.be.exactly(2);
+        });
+
+        it('start a background process ready by port', async function () {
+            let probe = require('net').createServer();
+            await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+            let port = probe.address().port;
+            await new Promise(resolve => probe.close(resolve));
+
+            let proc = await Util.startProcess_('node', [ '-e', `setTimeout(() => require('net').createServer().listen(${port}, '127.0.0.1'), 300)` ], {
+                readyWhen: { port },
+                readyInterval: 50
+            });
+
+            proc.ready.should.be.ok();
+            await proc.stop_();
+        });
+
+        it('start a background process failed to be ready', async function () {
+            await Util.startProcess_('sh', [ '-c', 'exit 3' ], { readyWhen: () => false }).should.be.rejectedWith(Util.CommandError, { code: 3 });
+            await Util.startProcess_('sleep', [ '30' ], { readyWhen: /never/, readyTimeout: 200 }).should.be.rejectedWith(Util.TimeoutError);
+        });
+
+        it('locate executables', async function () {
+            let dir = path.resolve(__dirname, 'temp/bin');
+            await Util.fs.ensureDir(dir);
+            await Util.fs.writeFile(path.join(dir, 'not-executable'), 'echo', { mode: 0o644 });
+            await Util.fs.writeFile(path.join(dir, 'executable'), 'echo', { mode: 0o755 });
+
+            (await Util.which_('sh')).should.match(/\/sh$/);
+            should.not.exist(await Util.which_('fkdsfjsl'));
+            should.not.exist(await Util.which_('not-executable', { path: dir }));
+            (await Util.which_('executable', { path: dir })).should.be.equal(path.join(dir, 'executable'));
+            (await Util.which_('executable', { path: '/nowhere:' + dir, all: true })).should.be.eql([ path.join(dir, 'executable') ]);
+        });
+
+        it('require tools', async function () {
+            let node = await Util.requireTool_('node', '>=8');
+            node.version.should.be.equal(process.version.substr(1));
+
+            try {
+                await Util.requireTool_({ node: '<1', fkdsfjsl: '*', sh: null });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.MissingToolError);
+                error.missing.map(tool => tool.name).should.be.eql([ 'fkdsfjsl', 'node' ]);
+                error.message.should.match(/fkdsfjsl \(\*\): not found/);
+                error.message.should.match(/node \(<1\): version .+ does not satisfy "<1"/);
+            }
+        });
+
+        it('build a command with quoted values', function () {
+            let file = "it's a file.txt";
+            let opts = [ '-n', '1' ];
+
+            Util.cmd`git log ${opts} -- ${file}`.should.be.equal("git log -n 1 -- 'it'\\''s a file.txt'");
+            Util.cmd`echo ${''}`.should.be.equal("echo ''");
+            Util.cmd`echo ${'$(rm -rf /)'}`.should.be.equal("echo '$(rm -rf /)'");
+        });
+
+        it('run a built command', async function () {
+            let value = 'a b; echo injected';
+            let { stdout } = await Util.runCmd_(Util.cmd`echo ${value}`);
+            stdout.should.be.equal('a b; echo injected\n');
+        });
+
+        it('split a command line', function () {
+            let args = Util.splitCmd(Util.cmd`ls -l ${"it's a dir"} ${[ 'x', 'y z' ]}`);
+            args.should.be.eql([ 'ls', '-l', "it's a dir", 'x', 'y z' ]);
+
+            Util.splitCmd('a "b \\"c\\"" d\\ e').should.be.eql([ 'a', 'b "c"', 'd e' ]);
+            (() => Util.splitCmd("echo 'abc")).should.throw(/Unterminated/);
+        });
+
         it('run a error command', function () {
             return Util.runCmdLive_('fkdsfjsl', [ ]).should.be.rejected();
         });
     });
 
+    describe('fake executor', function () {
+        let fake;
+
+        beforeEach(function () {
+            fake = new Util.FakeExecutor();
+            Util.setExecutor(fake);
+        });
+
+        afterEach(function () {
+            Util.setExecutor();
+        });
+
+        it('respond to commands', async function () {
+            fake.when('git status', { stdout: 'clean\n' })
+                .when(/^npm test/, { code: 1, stderr: 'failed\n' })
+                .when(/^wc/, call => ({ stdout: call.input.length + '\n' }));
+
+            (await Util.runCmd_('git status')).stdout.should.be.equal('clean\n');
+            await Util.runCmd_('npm test --silent').should.be.rejectedWith(Util.CommandError, { code: 1, stderr: 'failed\n' });
+            (await Util.runCmd_('wc -c', { input: 'abc' })).stdout.should.be.equal('3\n');
+            Util.runCmdSync('git status').should.be.equal('clean\n');
+
+            fake.calls.map(call => call.commandLine).should.be.eql([ 'git status', 'npm test --silent', 'wc -c', 'git status' ]);
+            fake.verify();
+        });
+
+        it('stream chunks to live commands', async function () {
+            fake.when("tail -f 'app log'", { chunks: [ { stdout: 'a\nb' }, { stderr: 'warn\n', delay: 20 }, { stdout: '\n' } ], code: 0 });
+
+            let lines = [];
+            let code = await Util.runCmdLive_('tail', [ '-f', 'app log' ], { onLine: (line, stream) => lines.push(stream + ':' + line) });
+
+            code.should.be.exactly(0);
+            lines.should.be.eql([ 'stdout:a', 'stderr:warn', 'stdout:b' ]);
+        });
+
+        it('fail on unexpected commands', async function () {
+            await Util.runCmd_('rm -rf /').should.be.rejectedWith(/Unexpected command: rm -rf \//);
+            (() => Util.runCmdSync('reboot')).should.throw(Util.CommandError);
+
+            fake.unexpected.length.should.be.exactly(2);
+            (() => fake.verify()).should.throw(/rm -rf \/, reboot/);
+        });
+
+        it('kill a fake command on timeout', async function () {
+            fake.when('sleep 10', { chunks: [ { delay: 10000 } ] });
+            await Util.runCmd_('sleep 10', { timeout: 50 }).should.be.rejectedWith(Util.CommandTimeoutError);
+        });
+    });
+
     describe('sleep & spin', function () {
         it('sleep', async function () {
             let i = 0;
@@ -106,6 +464,75 @@ describe('bvt', function () {
             
             c.should.be.within(19,21);            
         });
+
+        it('wait until the rounds run out', async function () {
+            let c = 0;
+            let result = await Util.waitUntil_(() => { c++; return 0; }, 1, 3);
+
+            result.should.be.exactly(0);
+            c.should.be.exactly(4);
+
+            c = 0;
+            await Util.waitUntil_(() => { c++; return false; }, 1, 0);
+            c.should.be.exactly(2);
+        });
+
+        it('wait until with options', async function () {
+            let i = 0, c = 0;
+            setTimeout(() => { i = 1; }, 100);
+
+            (await Util.waitUntil_(() => {
+                c++;
+                return i === 1 && 'done';
+            }, { interval: 10, timeout: 1000 })).should.be.equal('done');
+
+            c.should.be.within(8, 12);
+        });
+
+        it('wait until with backoff', async function () {
+            let times = [];
+            let startedAt = Date.now();
+
+            await Util.waitUntil_(() => { times.push(Date.now() - startedAt); return false; }, { interval: 10, factor: 2, maxInterval: 40, maxRounds: 5 });
+
+            times.length.should.be.exactly(6);
+            let gaps = times.slice(1).map((t, i) => t - times[i]);
+            gaps[0].should.be.within(8, 30);
+            gaps[2].should.be.within(35, 70);
+            gaps[4].should.be.within(35, 70);
+        });
+
+        it('wait until timeout', async function () {
+            let startedAt = Date.now();
+
+            try {
+                await Util.waitUntil_(() => null, { interval: 20, timeout: 100, throwOnTimeout: true });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.TimeoutError);
+                error.rounds.should.be.within(4, 7);
+                should(error.lastResult).be.null();
+                (Date.now() - startedAt).should.be.within(90, 300);
+            }
+
+            await Util.waitUntil_(() => false, { interval: 1, maxRounds: 2, throwOnTimeout: true }).should.be.rejectedWith(Util.TimeoutError, { rounds: 3, lastResult: false });
+        });
+
+        it('wait until timeout with a slow checker', async function () {
+            let startedAt = Date.now();
+
+            await Util.waitUntil_(() => Util.sleep_(400).then(() => true), { interval: 10, timeout: 100, throwOnTimeout: true }).should.be.rejectedWith(Util.TimeoutError);
+            (Date.now() - startedAt).should.be.below(200);
+
+            should.not.exist(await Util.waitUntil_(() => new Promise(() => {}), { timeout: 50 }));
+        });
+
+        it('wait until aborted', async function () {
+            let controller = new AbortController();
+            setTimeout(() => controller.abort(), 30);
+
+            await Util.waitUntil_(() => false, { interval: 1000, timeout: 5000, signal: controller.signal }).should.be.rejectedWith({ name: 'AbortError' });
+        });
     });
 
     describe('loading into sandbox', function () {
@@ -146,6 +573,213 @@ describe('bvt', function () {
                 done();                
             }).catch(err => done(err));
         });
+
+        it('sandbox loading with local files and dependencies', async function () {
+            let dataFile = path.resolve(__dirname, './data/sandbox/main.js');
+            let injected = {};
+            let result = await Util.load_(dataFile, { marker: 'sandbox' }, { injected });
+
+            result.greeting.should.be.equal('Hello, Bob!');
+            result.sum.should.be.exactly(3);
+            result.injected.should.be.exactly(injected);
+            result.isSandboxed.should.be.ok();
+            (result instanceof Object).should.be.true();
+            (result.helper.greet instanceof Function).should.be.false();
+
+            let again = await Util.load_(dataFile, { marker: 'sandbox' }, { injected });
+            again.helper.should.not.be.exactly(result.helper);
+        });
+
+        it('sandbox loading with timeout', async function () {
+            await Util.load_(path.resolve(__dirname, './data/sandbox/loop.js'), null, null, { timeout: 100 }).should.be.rejectedWith(Util.TimeoutError);
+            await Util.load_(path.resolve(__dirname, './data/sandbox/async.js'), { delay: 1000 }, null, { timeout: 50 }).should.be.rejectedWith(Util.TimeoutError);
+            (await Util.load_(path.resolve(__dirname, './data/sandbox/async.js'), { delay: 10 }, null, { timeout: 1000 })).value.should.be.exactly(10);
+        });
+
+        it('sandbox loading with policy', async function () {
+            let dataFile = path.resolve(__dirname, './data/sandbox/policy.js');
+            let logs = [];
+            let logger = { log: (level, message, info) => logs.push({ level, info }) };
+            let policy = { modules: { lodash: true, fs: Util.readOnlyFs }, logger };
+
+            let result = await Util.load_(dataFile, { spawn: false }, null, { policy });
+            ({ ...result }).should.be.eql({ canRead: true, canWrite: false, upper: 'AB' });
+            logs.map(log => log.level + ':' + log.info.module).should.be.eql([ 'info:fs', 'info:lodash', 'info:lodash/fp' ]);
+
+            logs = [];
+
+            try {
+                await Util.load_(dataFile, { spawn: true }, null, { policy });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.AccessDeniedError);
+                error.module.should.be.equal('node:child_process');
+                error.file.should.be.equal(dataFile);
+                error.message.should.match(/not allowed by the policy/);
+            }
+
+            logs[logs.length-1].level.should.be.equal('warn');
+
+            await Util.load_(path.resolve(__dirname, './data/sandbox/main.js'), null, { injected: 1 }, { policy: { modules: {} } }).should.be.rejectedWith(Util.AccessDeniedError, { module: 'lodash' });
+        });
+
+        it('sandbox policy keeps the script from reaching the host', async function () {
+            let result = await Util.load_(path.resolve(__dirname, './data/sandbox/escape.js'), null, null, { policy: { modules: {}, env: [ 'PATH' ] } });
+
+            result.escaped.should.be.exactly(0);
+            result.timer.should.be.equal('number');
+            result.env.should.be.eql([ 'PATH' ]);
+            result.hasBuffer.should.be.false();
+        });
+
+        it('sandbox loading with virtual modules', async function () {
+            let dataFile = path.resolve(__dirname, './data/sandbox/virtual/main.js');
+            let helpers = {};
+            let created = [];
+            let deps = {
+                '@app/helpers': helpers,
+                './config': { debug: true },
+                './db': Util.lazyModule((name, file) => {
+                    created.push({ name, file });
+                    return { connected: true };
+                })
+            };
+
+            let result = await Util.load_(dataFile, null, deps);
+            result.helpers.should.be.exactly(helpers);
+            result.config.should.be.eql({ debug: true });
+            result.db.should.be.eql({ connected: true });
+            result.childDb.should.be.exactly(result.db);
+            result.childConfig.should.be.eql({ local: true });
+            created.should.be.eql([ { name: './db', file: dataFile } ]);
+
+            let again = await Util.load_(dataFile, null, deps);
+            again.db.should.not.be.exactly(result.db);
+            created.length.should.be.exactly(2);
+        });
+
+        it('sandbox loading with hot reloading', async function () {
+            let dir = path.resolve(__dirname, 'temp/watch');
+            let mainFile = path.join(dir, 'main.js');
+            let depFile = path.join(dir, 'dep.js');
+
+            await Util.fs.emptyDir(dir);
+            await Util.fs.writeFile(mainFile, 'module.exports = { value: require("./dep") * base };');
+            await Util.fs.writeFile(depFile, 'module.exports = 1;');
+
+            let watcher = await Util.watchLoad_(mainFile, { base: 10 }, null, { debounce: 50 });
+            const next_ = event => new Promise(resolve => watcher.once(event, resolve));
+
+            try {
+                watcher.exports.value.should.be.exactly(10);
+                watcher.files.should.be.eql([ mainFile, depFile ]);
+
+                let reloaded = next_('reloaded');
+                let reloads = 0;
+                watcher.on('reloaded', () => reloads++);
+
+                //a burst of writes is reloaded once
+                await Util.fs.writeFile(depFile, 'module.exports = 2;');
+                await Util.fs.writeFile(depFile, 'module.exports = 3;');
+                (await reloaded).value.should.be.exactly(30);
+                watcher.exports.value.should.be.exactly(30);
+
+                let failed = next_('error');
+                await Util.fs.writeFile(depFile, 'module.exports = ;');
+                (await failed).should.be.instanceOf(SyntaxError);
+                watcher.exports.value.should.be.exactly(30);
+
+                reloaded = next_('reloaded');
+                await Util.fs.writeFile(depFile, 'module.exports = 4;');
+                (await reloaded).value.should.be.exactly(40);
+                reloads.should.be.exactly(2);
+            } finally {
+                watcher.close();
+            }
+        });
+
+        it('sandbox loading with custom globals', async function () {
+            let dataFile = path.resolve(__dirname, './data/load.js');
+            await Util.load_(path.resolve(__dirname, './data/sandbox/async.js'), { delay: 10 }, null, { globals: {} }).should.be.rejectedWith(/setTimeout is not defined/);
+            (await Util.load_(dataFile, null, null, { globals: {} })).name.should.be.equal('Bob');
+        });
+    });
+
+    describe('config loading', function () {
+        it('load layered config', async function () {
+            let dir = path.resolve(__dirname, './data/config');
+            let { config, sources, files } = await Util.loadConfig_(dir, { env: 'production', variables: { APP_HOME: '/srv/app' } });
+
+            config.should.be.eql({
+                name: 'app',
+                db: { host: 'db.internal', port: 6543, url: 'postgres://db.internal:6543/app' },
+                features: [ 'c' ],
+                home: '/srv/app/data'
+            });
+
+            files.should.be.eql([ 'default.json', 'production.js', 'local.json' ].map(file => path.join(dir, file)));
+            sources['db.host'].should.be.equal(path.join(dir, 'production.js'));
+            sources['db.port'].should.be.equal(path.join(dir, 'local.json'));
+            sources['db.url'].should.be.equal(path.join(dir, 'default.json'));
+            sources['features'].should.be.equal(path.join(dir, 'production.js'));
+        });
+
+        it('load config without the env layer', async function () {
+            let dir = path.resolve(__dirname, './data/config');
+            let { config, files } = await Util.loadConfig_(dir, { env: 'test', variables: { APP_HOME: '/tmp' } });
+
+            config.db.url.should.be.equal('postgres://localhost:6543/app');
+            config.features.should.be.eql([ 'a', 'b' ]);
+            files.length.should.be.exactly(2);
+
+            let badDir = path.resolve(__dirname, 'temp/config');
+            await Util.fs.emptyDir(badDir);
+            await Util.fs.writeJson(path.join(badDir, 'default.json'), { db: { url: '{{ database.host }}' } });
+            await Util.loadConfig_(badDir).should.be.rejectedWith(/Failed to interpolate "db.url"/);
+
+            await Util.fs.writeJson(path.join(badDir, 'default.json'), { a: '{{ b }}!', b: '{{ a }}' });
+            await Util.loadConfig_(badDir).should.be.rejectedWith(/circular/);
+        });
+
+        it('load config with placeholders in the inserted values', async function () {
+            let dir = path.resolve(__dirname, 'temp/config-inserted');
+            await Util.fs.emptyDir(dir);
+            await Util.fs.writeJson(path.join(dir, 'default.json'), { home: '{{ env.HOME_DIR }}', secret: '{{ env.SECRET }}', backup: '{{ home }}/backup' });
+
+            let { config } = await Util.loadConfig_(dir, { variables: { HOME_DIR: '/srv/{{ process.pid }}', SECRET: 'a{{b' } });
+
+            config.should.be.eql({ home: '/srv/{{ process.pid }}', secret: 'a{{b', backup: '/srv/{{ process.pid }}/backup' });
+        });
+    });
+
+    describe('modules loading', function () {
+        const dir = path.resolve(__dirname, './data/modules');
+
+        it('load modules into a registry', async function () {
+            let registry = await Util.loadModules_('*.js', { cwd: dir, sort: true });
+
+            registry.should.be.eql({ '001CreateUsers': 'create users', '002AddIndex': 'add index', userHandler: { name: 'user handler' } });
+            Object.keys(registry).should.be.eql([ '001CreateUsers', '002AddIndex', 'userHandler' ]);
+
+            registry = await Util.loadModules_('*.js', { cwd: dir, keyOf: 'pascalCase', globOptions: { ignore: '0*.js' } });
+            registry.should.be.eql({ UserHandler: { name: 'user handler' } });
+        });
+
+        it('load modules with a custom key mapper, sorter and loader', async function () {
+            let registry = await Util.loadModules_('0*.js', {
+                cwd: dir,
+                keyOf: name => name.split('-')[0],
+                sort: (a, b) => b.key.localeCompare(a.key),
+                loader: file => Util.load_(file)
+            });
+
+            Object.keys(registry).should.be.eql([ '002', '001' ]);
+            registry['001'].should.be.equal('create users');
+        });
+
+        it('report duplicate keys', async function () {
+            await Util.loadModules_('**/*.js', { cwd: dir }).should.be.rejectedWith(/Duplicate module keys: "userHandler" of .+user.handler\.js, .+user.handler\.js$/);
+        });
     });
 
     describe('co-style generator executor', function () {
@@ -189,6 +823,180 @@ describe('bvt', function () {
                 done();
             }).catch(err => done(err));
         });
+
+        it('match by the predicate only', async function () {
+            let a = [ () => Promise.resolve(1), () => Promise.resolve(0), () => Promise.resolve(2) ];
+            (await Util.ifAnyPromise_(a, s => s === 0)).should.be.eql([ 1, 0 ]);
+            should.not.exist(await Util.ifAnyPromise_(a, s => s > 5));
+        });
+
+        it('race in parallel and abort the losers', async function () {
+            let aborted = [];
+            let started = [];
+
+            const probe = (ms, value) => (i => signal => {
+                started.push(i);
+
+                return new Promise((resolve, reject) => {
+                    let timer = setTimeout(() => resolve(value), ms);
+
+                    signal.addEventListener('abort', () => {
+                        aborted.push(i);
+                        clearTimeout(timer);
+                        reject(new Error('aborted'));
+                    });
+                });
+            });
+
+            let factories = [ probe(50, 'slow'), probe(10, null), probe(20, 'fast'), probe(50, 'unused') ].map((make, i) => make(i));
+            let result = await Util.ifAnyPromise_(factories, r => !Util._.isNil(r), { concurrency: 3 });
+
+            result.should.be.eql([ 2, 'fast' ]);
+            started.should.be.eql([ 0, 1, 2, 3 ]);
+            aborted.should.be.eql([ 0, 3 ]);
+        });
+
+        it('parallel race keeps the first of the matches settled in the same tick', async function () {
+            (await Util.ifAnyPromise_([ () => Promise.resolve('a'), () => Promise.resolve('b') ], { concurrency: 2 })).should.be.eql([ 0, 'a' ]);
+
+            let aborted = [];
+            let factories = [ 'first', 'second', 'third' ].map((value, i) => signal => {
+                signal.addEventListener('abort', () => aborted.push(i));
+                return Util.sleep_(10).then(() => value);
+            });
+
+            (await Util.ifAnyPromise_(factories, { concurrency: 3 })).should.be.eql([ 0, 'first' ]);
+            aborted.should.be.eql([ 1, 2 ]);
+        });
+
+        it('parallel race without a match or with an error', async function () {
+            let a = [ () => Util.sleep_(10).then(() => false), () => Promise.resolve(0) ];
+            should.not.exist(await Util.ifAnyPromise_(a, { concurrency: 2 }));
+
+            await Util.ifAnyPromise_([ () => Util.sleep_(50), () => Promise.reject(new Error('failed')) ], { concurrency: 2 }).should.be.rejectedWith('failed');
+        });
+    });
+
+    describe('map with limit', function () {
+        it('map with limited concurrency in order', async function () {
+            let running = 0;
+            let maxRunning = 0;
+
+            let results = await Util.mapLimit_([ 30, 10, 20, 0, 5 ], 2, async (ms, i) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await Util.sleep_(ms);
+                running--;
+                return ms + i;
+            });
+
+            results.should.be.eql([ 30, 11, 22, 3, 9 ]);
+            maxRunning.should.be.exactly(2);
+
+            (await Util.mapLimit_(new Set([ 1, 2 ]), Infinity, x => x * 2)).should.be.eql([ 2, 4 ]);
+            (await Util.mapLimit_([], 3, x => x)).should.be.eql([]);
+            await Util.mapLimit_([ 1 ], 0, x => x).should.be.rejectedWith(TypeError);
+        });
+
+        it('fail fast and stop scheduling', async function () {
+            let started = [];
+
+            await Util.mapLimit_([ 1, 2, 3, 4 ], 1, async x => {
+                started.push(x);
+                if (x === 2) throw new Error('boom');
+                return x;
+            }).should.be.rejectedWith('boom');
+
+            started.should.be.eql([ 1, 2 ]);
+        });
+
+        it('settle all', async function () {
+            let error = new Error('boom');
+            let fn = async x => {
+                await Util.sleep_(x * 5);
+                if (x === 2) throw error;
+                return x;
+            };
+
+            (await Util.mapLimit_([ 1, 2, 3 ], 2, fn, { settle: true })).should.be.eql([
+                { status: 'fulfilled', value: 1 },
+                { status: 'rejected', reason: error },
+                { status: 'fulfilled', value: 3 }
+            ]);
+
+            (await Util.mapLimit_([ 2, 1, 3, 4 ], 1, fn, { settle: true, stopOnError: true })).should.be.eql([
+                { status: 'rejected', reason: error },
+                { status: 'skipped' },
+                { status: 'skipped' },
+                { status: 'skipped' }
+            ]);
+        });
+    });
+
+    describe('retry', function () {
+        it('retry until success with backoff', async function () {
+            let attempts = [];
+            let retried = [];
+
+            let result = await Util.retry_(async attempt => {
+                attempts.push(attempt);
+                if (attempt < 3) throw new Error('failed ' + attempt);
+                return 'ok';
+            }, { minDelay: 10, factor: 3, onRetry: (error, attempt, delay) => retried.push([ error.message, attempt, delay ]) });
+
+            result.should.be.equal('ok');
+            attempts.should.be.eql([ 1, 2, 3 ]);
+            retried.should.be.eql([ [ 'failed 1', 1, 10 ], [ 'failed 2', 2, 30 ] ]);
+        });
+
+        it('keep all the errors after the final failure', async function () {
+            let delays = [];
+
+            try {
+                await Util.retry_(attempt => Promise.reject(new Error('failed ' + attempt)), {
+                    retries: 3,
+                    minDelay: 4,
+                    maxDelay: 10,
+                    jitter: true,
+                    onRetry: (error, attempt, delay) => delays.push(delay)
+                });
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.RetryError);
+                error.attempts.should.be.exactly(4);
+                error.errors.map(e => e.message).should.be.eql([ 'failed 1', 'failed 2', 'failed 3', 'failed 4' ]);
+                error.lastError.message.should.be.equal('failed 4');
+                error.message.should.match(/after 4 attempt\(s\): failed 4/);
+            }
+
+            delays.length.should.be.exactly(3);
+            delays.forEach((delay, i) => delay.should.be.within(0, [ 4, 8, 10 ][i]));
+        });
+
+        it('stop retrying by the predicate', async function () {
+            let calls = 0;
+            let fatal = Object.assign(new Error('fatal'), { status: 400 });
+
+            await Util.retry_(() => {
+                calls++;
+                throw calls === 1 ? Object.assign(new Error('busy'), { status: 503 }) : fatal;
+            }, { minDelay: 1, retryIf: error => error.status >= 500 }).should.be.rejectedWith(Util.RetryError, { lastError: fatal, attempts: 2 });
+
+            calls.should.be.exactly(2);
+        });
+
+        it('abort the backoff sleep', async function () {
+            let controller = new AbortController();
+            let startedAt = Date.now();
+            setTimeout(() => controller.abort(), 20);
+
+            await Util.retry_(() => Promise.reject(new Error('failed')), { minDelay: 5000, signal: controller.signal }).should.be.rejectedWith({ name: 'AbortError' });
+            (Date.now() - startedAt).should.be.below(1000);
+
+            let calls = 0;
+            await Util.retry_(() => calls++, { signal: controller.signal }).should.be.rejectedWith({ name: 'AbortError' });
+            calls.should.be.exactly(0);
+        });
     });
 
     describe('async each', function () {
@@ -196,6 +1004,83 @@ describe('bvt', function () {
             return Util.eachAsync_(0, async () => 0).should.be.rejected();
         });
 
+        it('invalid arg types', async function () {
+            await Util.eachAsync_(null, async () => 0).should.be.rejectedWith(TypeError, { message: /got null/ });
+            await Util.eachAsync_('abc', async () => 0).should.be.rejectedWith(TypeError, { message: /got string/ });
+            await Util.eachAsync_(new WeakMap(), async () => 0).should.be.rejectedWith(TypeError, { message: /got WeakMap/ });
+        });
+
+        it('iterate a map, a set and an iterable', async function () {
+            let map = new Map([ [ 'a', 1 ], [ { id: 2 }, 2 ] ]);
+            let result = await Util.eachAsync_(map, async (v, k, m) => {
+                m.should.be.exactly(map);
+                return typeof k === 'string' ? k + v : v * 10;
+            });
+
+            result.should.be.instanceOf(Map);
+            Array.from(result.values()).should.be.eql([ 'a1', 20 ]);
+            Array.from(result.keys()).should.be.eql(Array.from(map.keys()));
+
+            (await Util.eachAsync_(new Set([ 'x', 'y' ]), async (v, i) => v + i)).should.be.eql([ 'x0', 'y1' ]);
+
+            function* gen() { yield 1; yield 2; yield 3; }
+            (await Util.eachAsync_(gen(), async v => v * v)).should.be.eql([ 1, 4, 9 ]);
+        });
+
+        it('iterate an async iterable', async function () {
+            async function* gen() {
+                for (let i = 1; i <= 4; i++) {
+                    await Util.sleep_(1);
+                    yield i;
+                }
+            }
+
+            (await Util.eachAsync_(gen(), async (v, i) => v * 10 + i)).should.be.eql([ 10, 21, 32, 43 ]);
+
+            let running = 0;
+            let maxRunning = 0;
+            let result = await Util.eachAsync_(gen(), async (v, i) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await Util.sleep_(20 - v * 4);
+                running--;
+                return v;
+            }, { concurrency: 2 });
+
+            result.should.be.eql([ 1, 2, 3, 4 ]);
+            maxRunning.should.be.exactly(2);
+
+            let finished = false;
+            async function* endless() {
+                try {
+                    for (let i = 0; ; i++) yield i;
+                } finally {
+                    finished = true;
+                }
+            }
+
+            await Util.eachAsync_(endless(), async v => {
+                if (v === 3) throw new Error('stop');
+            }, { concurrency: Infinity }).should.be.rejectedWith('stop');
+            finished.should.be.true();
+        });
+
+        it('iterate with concurrency', async function () {
+            let running = 0;
+            let maxRunning = 0;
+
+            let result = await Util.eachAsync_({ a: 30, b: 10, c: 20 }, async (ms, k) => {
+                running++;
+                maxRunning = Math.max(maxRunning, running);
+                await Util.sleep_(ms);
+                running--;
+                return k + ms;
+            }, { concurrency: 3 });
+
+            result.should.be.eql({ a: 'a30', b: 'b10', c: 'c20' });
+            maxRunning.should.be.exactly(3);
+        });
+
         it('iterate an array', function (done) {
             let a = [1, 2, 3];
             
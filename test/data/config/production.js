@@ -0,0 +1,4 @@
+module.exports = {
+    db: { host: 'db.internal' },
+    features: [ 'c' ]
+};
@@ -0,0 +1 @@
+module.exports = { name: 'user handler' };
@@ -0,0 +1 @@
+module.exports = new Promise(resolve => setTimeout(() => resolve({ value: delay }), delay));
@@ -0,0 +1,22 @@
+//every way out through the globals, the module wrapper or a denied require leads back into the sandbox
+const attempts = [
+    () => console.log.constructor('return process')(),
+    () => setTimeout.constructor('return process')(),
+    () => process.nextTick.constructor('return process')(),
+    () => require.constructor('return process')(),
+    () => module.constructor.constructor('return process')(),
+    () => {
+        try {
+            require('child_process');
+        } catch (error) {
+            return error.constructor.constructor('return process')();
+        }
+    }
+];
+
+module.exports = {
+    escaped: attempts.filter(attempt => typeof attempt().kill === 'function').length,
+    timer: typeof setTimeout(() => {}, 0),
+    env: Object.keys(process.env),
+    hasBuffer: typeof Buffer !== 'undefined'
+};
@@ -0,0 +1,12 @@
+const helper = require('./helper');
+const config = require('./config.json');
+const _ = require('lodash');
+const injected = require('injected');
+
+module.exports = {
+    greeting: helper.greet(config.name),
+    sum: _.sum([ 1, 2 ]),
+    injected,
+    helper,
+    isSandboxed: typeof Bob === 'undefined' && global.marker === 'sandbox'
+};
@@ -0,0 +1,13 @@
+const fs = require('fs');
+const _ = require('lodash');
+const fp = require('lodash/fp');
+
+module.exports = {
+    canRead: typeof fs.readFileSync === 'function',
+    canWrite: typeof fs.writeFileSync === 'function',
+    upper: _.toUpper('a') + fp.toUpper('b')
+};
+
+if (spawn) {
+    require('node:child_process');
+}
@@ -0,0 +1,5 @@
+const helpers = require('@app/helpers');
+const db = require('./db');
+const child = require('./sub/child');
+
+module.exports = { helpers, db, childDb: child.db, childConfig: child.config, config: require('./config') };
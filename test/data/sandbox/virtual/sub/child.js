@@ -0,0 +1,2 @@
+exports.db = require('../db.js');
+exports.config = require('./config');
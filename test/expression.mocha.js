@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+const should = require('should');
+const Util = require('../lib/index.js');
+
+describe('expression', function () {
+    const context = {
+        order: { total: 120, items: [ { sku: 'a', qty: 2 }, { sku: 'b', qty: 3 } ] },
+        user: { tier: 'gold', name: 'Bob', tags: { beta: true } },
+        key: 'tier',
+        empty: null
+    };
+
+    it('evaluate literals and operators', function () {
+        Util.evaluateExpression('1 + 2 * 3 - 4 / 2 % 3').should.be.exactly(5);
+        Util.evaluateExpression('(1 + 2) * 3').should.be.exactly(9);
+        Util.evaluateExpression('-2 * -.5 + 1e2').should.be.exactly(101);
+        Util.evaluateExpression('"a\\"b" + \'c\\n\'').should.be.equal('a"bc\n');
+        Util.evaluateExpression('!true || false && null == undefined').should.be.false();
+        Util.evaluateExpression('1 === 1 && 1 !== "1" && 1 == "1" && 2 >= 2 && 1 < 2').should.be.true();
+        Util.evaluateExpression('null ?? 0 ?? 1').should.be.exactly(0);
+        Util.evaluateExpression('[1, 2, [3]]').should.be.eql([ 1, 2, [ 3 ] ]);
+        should.not.exist(Util.evaluateExpression('undefined'));
+    });
+
+    it('resolve property paths from the context', function () {
+        Util.evaluateExpression("order.total > 100 && user.tier in ['gold', 'vip']", context).should.be.true();
+        Util.evaluateExpression('order.items[1].qty + order.items.length', context).should.be.exactly(5);
+        Util.evaluateExpression('user[key] + "/" + user["name"]', context).should.be.equal('gold/Bob');
+        Util.evaluateExpression("'beta' in user.tags && 'ol' in user.tier && !('x' in empty)", context).should.be.true();
+        should.not.exist(Util.evaluateExpression('empty.a.b', context));
+        should.not.exist(Util.evaluateExpression('missing.a', context));
+    });
+
+    it('check own keys of objects by "in" without following paths', function () {
+        let data = { user: { tags: { beta: true } } };
+
+        Util.evaluateExpression("'tags' in user && 'beta' in user.tags", data).should.be.true();
+        Util.evaluateExpression("'tags.beta' in user", data).should.be.false();
+        Util.evaluateExpression("'toString' in user", data).should.be.false();
+    });
+
+    it('evaluate conditional expressions', function () {
+        Util.evaluateExpression("order.total > 100 ? 'big' : order.total > 50 ? 'medium' : 'small'", { order: { total: 60 } }).should.be.equal('medium');
+        Util.evaluateExpression('empty ? 1 : user ? 2 : 3', context).should.be.exactly(2);
+    });
+
+    it('call whitelisted functions only', function () {
+        let check = Util.compileExpression('max(order.total, 200) + len(user.name)', { functions: { max: Math.max, len: s => s.length } });
+        check(context).should.be.exactly(203);
+        check.source.should.be.equal('max(order.total, 200) + len(user.name)');
+
+        (() => Util.compileExpression('eval("1")')).should.throw(Util.ExpressionSyntaxError, { position: 0, message: /Unknown function "eval"/ });
+        (() => Util.compileExpression('user.name.toUpperCase()')).should.throw(Util.ExpressionSyntaxError, { position: 21 });
+    });
+
+    it('compile once and evaluate many times', function () {
+        let isVip = Util.compileExpression("user.tier in ['gold', 'vip']");
+        isVip(context).should.be.true();
+        isVip({ user: { tier: 'basic' } }).should.be.false();
+        isVip().should.be.false();
+    });
+
+    it('cannot reach globals or prototypes', function () {
+        should.not.exist(Util.evaluateExpression('process'));
+        should.not.exist(Util.evaluateExpression('global.process'));
+        (() => Util.compileExpression('user.constructor')).should.throw(Util.ExpressionSyntaxError, { position: 5 });
+        (() => Util.compileExpression("user['__proto__']")).should.throw(Util.ExpressionSyntaxError);
+        (() => Util.evaluateExpression("user[k + 'type']", { user: {}, k: 'proto' })).should.throw(/not allowed/);
+    });
+
+    it('report syntax errors with positions', function () {
+        (() => Util.compileExpression('a + ')).should.throw(Util.ExpressionSyntaxError, { position: 4, source: 'a + ', message: /end of expression at position 4/ });
+        (() => Util.compileExpression('a b')).should.throw(Util.ExpressionSyntaxError, { position: 2 });
+        (() => Util.compileExpression('(a + 1')).should.throw(Util.ExpressionSyntaxError, { position: 6, message: /Expected "\)"/ });
+        (() => Util.compileExpression("'open")).should.throw(Util.ExpressionSyntaxError, { position: 0, message: /Unterminated string/ });
+        (() => Util.compileExpression('a = 1')).should.throw(Util.ExpressionSyntaxError, { position: 2, message: /Unexpected character "="/ });
+        (() => Util.compileExpression('a ? b')).should.throw(Util.ExpressionSyntaxError, { position: 5 });
+    });
+});
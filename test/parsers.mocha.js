@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Module dependencies.
+ */
+
+const should = require('should');
+const Util = require('../lib/index.js');
+
+describe('parsers', function () {
+    describe('json', function () {
+        it('parse json output of a command', async function () {
+            let result = await Util.runCmdJson_(`echo '{ "a": [ 1, 2 ] }'`);
+            result.should.be.eql({ a: [ 1, 2 ] });
+        });
+
+        it('report the offending line of invalid json', async function () {
+            try {
+                await Util.runCmdJson_(`printf '{\\n  "a": 1,\\n}\\n'`);
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.ParseError);
+                error.lineNumber.should.be.exactly(3);
+                error.line.should.be.equal('}');
+                error.cmd.should.startWith('printf');
+                error.message.should.match(/line 3 of the output of "printf/);
+            }
+        });
+
+        it('parse ndjson', function () {
+            Util.parseNdjson('{"a":1}\n\n{"a":2}\n').should.be.eql([ { a: 1 }, { a: 2 } ]);
+            (() => Util.parseNdjson('{"a":1}\n{a:2}\n')).should.throw(Util.ParseError, { lineNumber: 2, line: '{a:2}' });
+        });
+
+        it('stream ndjson output of a command', async function () {
+            let records = [];
+            let stream = Util.runCmdNdjson('sh', [ '-c', 'echo \'{"n":1}\'; echo; echo \'{"n":2}\'' ]);
+
+            for await (const record of stream) {
+                records.push(record);
+            }
+
+            records.should.be.eql([ { n: 1 }, { n: 2 } ]);
+            (await stream.exited).should.be.exactly(0);
+        });
+
+        it('stream invalid ndjson output of a command', async function () {
+            let records = [];
+
+            try {
+                for await (const record of Util.runCmdNdjson('sh', [ '-c', 'echo \'{"n":1}\'; echo oops; sleep 30' ])) {
+                    records.push(record);
+                }
+                should.fail();
+            } catch (error) {
+                error.should.be.instanceOf(Util.ParseError);
+                error.lineNumber.should.be.exactly(2);
+                error.line.should.be.equal('oops');
+                error.cmd.should.startWith('sh -c');
+            }
+
+            records.length.should.be.exactly(1);
+        });
+    });
+
+    describe('csv', function () {
+        it('parse csv with header', function () {
+            let rows = Util.parseCsv('name,note\r\nbob,"says ""hi"", twice"\nalice,"multi\nline"\n');
+            rows.should.be.eql([ { name: 'bob', note: 'says "hi", twice' }, { name: 'alice', note: 'multi\nline' } ]);
+        });
+
+        it('parse tsv without header', function () {
+            Util.parseCsv('a\tb\n1\t2', { delimiter: '\t', header: false }).should.be.eql([ [ 'a', 'b' ], [ '1', '2' ] ]);
+        });
+
+        it('report invalid csv rows', function () {
+            (() => Util.parseCsv('a,b\n1,2\n"x\n3,4\n3', { cmd: 'export' })).should.throw(Util.ParseError, { lineNumber: 3, cmd: 'export' });
+            (() => Util.parseCsv('a,b\n1,2\n3')).should.throw(Util.ParseError, { lineNumber: 3, line: '3' });
+        });
+    });
+
+    describe('columns', function () {
+        it('parse columns by header positions', function () {
+            let text = [
+                'CONTAINER ID   IMAGE          STATUS',
+                'abc123         nginx:latest   Up 2 hours',
+                'def456         redis          Exited (0)'
+            ].join('\n');
+
+            Util.parseColumns(text).should.be.eql([
+                { 'CONTAINER ID': 'abc123', IMAGE: 'nginx:latest', STATUS: 'Up 2 hours' },
+                { 'CONTAINER ID': 'def456', IMAGE: 'redis', STATUS: 'Exited (0)' }
+            ]);
+        });
+
+        it('parse columns with right-aligned values', function () {
+            let text = [
+                '    PID TT           TIME CMD',
+                '      1 ?        00:00:01 /sbin/init splash',
+                '  12345 pts/0    00:00:00 ps -o pid,tty,time,cmd'
+            ].join('\n');
+
+            Util.parseColumns(text).should.be.eql([
+                { PID: '1', TT: '?', TIME: '00:00:01', CMD: '/sbin/init splash' },
+                { PID: '12345', TT: 'pts/0', TIME: '00:00:00', CMD: 'ps -o pid,tty,time,cmd' }
+            ]);
+
+            Util.parseColumns('  PID USER\n12345 root').should.be.eql([ { PID: '12345', USER: 'root' } ]);
+        });
+
+        it('parse columns by separator', function () {
+            Util.parseColumns('PID TTY CMD\n1 ? node server.js\n', { separator: /\s+/ }).should.be.eql([
+                { PID: '1', TTY: '?', CMD: 'node server.js' }
+            ]);
+
+            (() => Util.parseColumns('A\tB\n\nonly', { separator: '\t' })).should.throw(Util.ParseError, { lineNumber: 3 });
+        });
+    });
+
+    describe('key value', function () {
+        it('parse key=value lines', function () {
+            Util.parseKeyValue('# comment\nNAME="Ubuntu"\nVERSION_ID = 22.04\n\nURL=http://a?b=c\n').should.be.eql({
+                NAME: 'Ubuntu',
+                VERSION_ID: '22.04',
+                URL: 'http://a?b=c'
+            });
+
+            Util.parseKeyValue('a: 1\nb: 2', { separator: ':' }).should.be.eql({ a: '1', b: '2' });
+        });
+
+        it('report invalid key value lines', function () {
+            (() => Util.parseKeyValue('a=1\ninvalid', { cmd: 'env' })).should.throw(Util.ParseError, { lineNumber: 2, line: 'invalid', cmd: 'env' });
+        });
+    });
+
+    describe('env', function () {
+        it('parse .env text', function () {
+            let text = [
+                '# comment',
+                'export HOST=localhost',
+                'PORT = 8080 # inline comment',
+                "LITERAL='${HOST} # kept'",
+                'URL="http://${HOST}:${PORT}/$NAME\\tx"',
+                'CERT="-----BEGIN-----',
+                'abc',
+                '-----END-----"',
+                'PRICE=\\$5',
+                'EMPTY='
+            ].join('\n');
+
+            Util.parseEnv(text, { env: { NAME: 'app' } }).should.be.eql({
+                HOST: 'localhost',
+                PORT: '8080',
+                LITERAL: '${HOST} # kept',
+                URL: 'http://localhost:8080/app\tx',
+                CERT: '-----BEGIN-----\nabc\n-----END-----',
+                PRICE: '$5',
+                EMPTY: ''
+            });
+        });
+
+        it('expand defaults', function () {
+            Util.parseEnv('A=${X:-def}\nB=${EMPTY:-def}\nC=${EMPTY-def}\nD=${X:-${Y:-nested}}\nE=$X$A', { env: { EMPTY: '' } }).should.be.eql({
+                A: 'def',
+                B: 'def',
+                C: '',
+                D: 'nested',
+                E: 'def'
+            });
+        });
+
+        it('report invalid .env lines', function () {
+            (() => Util.parseEnv('A=1\nnot a pair', { file: '.env' })).should.throw(Util.ParseError, { lineNumber: 2, line: 'not a pair', file: '.env' });
+            (() => Util.parseEnv('A=1\nB="open\nC=2')).should.throw(Util.ParseError, { lineNumber: 2, message: /Unterminated double quote/ });
+            (() => Util.parseEnv('A=${B')).should.throw(Util.ParseError, { lineNumber: 1, message: /Bad substitution/ });
+        });
+
+        it('layer .env files', async function () {
+            const path = require('path');
+            let dir = path.resolve(__dirname, 'temp');
+            await Util.fs.ensureDir(dir);
+            await Util.fs.writeFile(path.join(dir, '.env'), 'STAGE=dev\nDB=db-${STAGE}\nSHELL_NAME=file\n');
+            await Util.fs.writeFile(path.join(dir, '.env.test'), 'STAGE=test\nURL=${DB}/${STAGE}\n');
+
+            let files = [ path.join(dir, '.env'), path.join(dir, '.env.test'), path.join(dir, '.env.missing') ];
+            let env = await Util.loadEnv_(files, { base: { SHELL_NAME: 'real', PATH: process.env.PATH } });
+
+            env.should.be.eql({ STAGE: 'test', DB: 'db-dev', URL: 'db-dev/test', SHELL_NAME: 'real', PATH: process.env.PATH });
+            should.not.exist(process.env.STAGE);
+
+            (await Util.loadEnv_(files[0], { base: { SHELL_NAME: 'real' }, override: true })).SHELL_NAME.should.be.equal('file');
+
+            let { stdout } = await Util.runCmd_('echo $URL', { env });
+            stdout.trim().should.be.equal('db-dev/test');
+
+            await Util.loadEnv_(files, { required: true }).should.be.rejectedWith({ code: 'ENOENT' });
+        });
+    });
+});